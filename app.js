@@ -6,13 +6,56 @@
 
 // Shiny circles defined by diameter in game units (50u inner, 70u outer)
 const SHINY_DIAMETERS_UNITS = [50, 70];
+// Ring colors by ring index; anchors with more rings cycle through them
+const SHINY_RING_COLORS = ["#ffff0aff", "#ef4444", "#a855f7", "#f97316"];
+const DEFAULT_ANCHOR_COLOR = "#200ee9";
 const FIXED_PIXELS_PER_UNIT = 3.2689; // locked scale for ZA_Lumiose_City_Night.png
 const STICKER_LIST_PATH = "assets/icons/pkmn_stickers/stickers.json";
+// How far past the outer ring the coverage report still lists markers
+const COVERAGE_MARGIN_UNITS = 15;
+const BEST_BENCH_HIGHLIGHTS = 3;
+const BEST_BENCH_LIST_SIZE = 10;
+const SEARCH_RESULT_LIMIT = 50;
+// Merge imports treat same-type markers this close together as duplicates
+const IMPORT_DEDUPE_UNITS = 3;
+// Quadtree leaves split past this many markers (up to a fixed depth)
+const QUADTREE_NODE_CAPACITY = 8;
+const QUADTREE_MAX_DEPTH = 12;
+const NEAR_HERE_TYPES = ["bench", "ladder", "elevator"];
+// Clustering kicks in below fit zoom + offset; cells are in screen pixels
+const CLUSTER_ZOOM_OFFSET = 1.5;
+const CLUSTER_CELL_PX = 56;
+const CLUSTER_COLORS = {
+  bench: "#38bdf8",
+  ladder: "#facc15",
+  elevator: "#34d399",
+  circle: "#f472b6",
+  sprite: "#a78bfa",
+};
+// Route planning: how many first stops to try without a fixed start, and how
+// close (in units) a map click must be to snap a route start onto a marker
+const ROUTE_START_CANDIDATES = 30;
+const ROUTE_PICK_RADIUS_UNITS = 8;
+// Vertical navigation: cost of using a ladder/elevator, and the longest walk
+// allowed on rooftops (buildings are separate, so roof legs stay short)
+const NAV_CLIMB_COST_UNITS = 5;
+const NAV_DEFAULT_ROOF_HOP_UNITS = 40;
+const NAV_LEVELS = ["street", "roof"];
 
 const App = (() => {
   "use strict";
 
+  // The key name predates versioning; the payload's own "version" field counts
   const STORAGE_KEY = "lumiose-map-state-v1";
+  const LAST_GOOD_KEY = "lumiose-map-state-last-good";
+  const QUARANTINE_KEY = "lumiose-map-state-quarantine";
+  const SNAPSHOT_KEY = "lumiose-map-snapshots";
+  const SNAPSHOT_LIMIT = 20;
+  const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+  // Characters all saved keys may use, under the ~5 MB most browsers allow
+  const STORAGE_BUDGET_CHARS = 4500000;
+  const HISTORY_KEY = "lumiose-map-history-v1";
+  const HISTORY_LIMIT = 100;
   const DEFAULT_IMAGE = "ZA_Lumiose_City_Night.png";
   const FALLBACK_IMAGE = "map.png";
   const ICONS = {
@@ -20,6 +63,16 @@ const App = (() => {
     ladder: "assets/icons/icon_ladder.png",
     elevator: "assets/icons/icon_arrow.png",
   };
+  const HUNT_STATUSES = ["hunting", "found", "abandoned"];
+  // Name parts that mark a sticker as a special form; "base" means none
+  const SPRITE_FORMS = ["mega", "gmax", "alola", "galar", "totem", "cap"];
+  // What "Reset settings" returns to
+  const DEFAULT_SETTINGS = {
+    snap: true,
+    gridSize: 1,
+    clustering: true,
+    canvasPresets: true,
+  };
   const BASE_ICON_SIZES = {
     bench: 28,
     ladder: 28,
@@ -36,6 +89,13 @@ const App = (() => {
     image: { url: "", width: 0, height: 0 },
     pixelsPerUnit: FIXED_PIXELS_PER_UNIT,
     layers: null,
+    // Locked presets are drawn on a single canvas instead of one DOM icon each
+    canvasPresets: DEFAULT_SETTINGS.canvasPresets,
+    presetCanvas: null,
+    clustering: DEFAULT_SETTINGS.clustering,
+    clusterLayer: null,
+    fitZoom: null,
+    spatialIndex: null, // quadtree of placed markers, in map units
     visibility: {
       presets: true,
       users: true,
@@ -43,10 +103,14 @@ const App = (() => {
       ladders: true,
       elevators: true,
       circles: true,
+      sprites: true,
       zones: true,
     },
-    snap: true,
-    gridSize: 1,
+    tagFilter: [], // only markers with one of these tags are shown when set
+    // Narrows Pokémon markers; an empty list means "any"
+    spriteFilter: { species: [], forms: [], tags: [] },
+    snap: DEFAULT_SETTINGS.snap,
+    gridSize: DEFAULT_SETTINGS.gridSize,
     addMode: false,
     editMode: false,
     deleteMode: false,
@@ -59,26 +123,47 @@ const App = (() => {
       presetMarkers: [],
       userMarkers: [],
       originalPresets: [],
+      originalZones: [],
       zones: [],
       customMarkers: [],
+      paths: [], // saved measurements: [{id, name, points, hidden}]
+      route: { start: null, stopIds: [] }, // start: {kind: anchor|marker|point}
     },
     stickers: [],
+    stickerSlugs: new Set(), // sticker names without ".shiny.png"
+    stickerSpecies: [], // every species in the sticker list, sorted
     markersIndex: new Map(), // id -> {layer, data}
     selection: null,
+    bulk: {
+      ids: new Set(), // multi-selection made with shift-drag in Edit mode
+      shape: "box", // box | lasso
+      draft: null, // {lasso, points, layer} while dragging out a selection
+      drag: null, // id -> start latlng while a selected marker is dragged
+    },
     measure: {
-      origin: null,
-      target: null,
+      points: [], // unsaved chain of snapped latlngs
       line: null,
-      popup: null,
       group: null,
-      lastTarget: null,
+      lastPixels: null,
+    },
+    pathsLayer: null,
+    routeLayer: null,
+    routePlan: null, // {key, orderIds} of the last planned tour
+    nav: {
+      start: null,
+      end: null,
+      startLevel: "street",
+      endLevel: "roof",
+      maxRoofHop: NAV_DEFAULT_ROOF_HOP_UNITS,
+      layer: null,
     },
+    mapPick: null, // {message, onPick} while waiting for a map click
     shiny: {
       layer: null,
-      marker: null,
-      rings: [],
-      center: null,
-      visible: [true, true],
+      anchors: [], // [{id, name, color, hidden, center, diameters, ringVisible}]
+      activeId: null,
+      views: new Map(), // anchor id -> {group, marker, rings}
+      seeded: false,
     },
     zonesLayer: null,
     zoneDrawing: {
@@ -87,6 +172,39 @@ const App = (() => {
       tempLine: null,
       tempPolygon: null,
     },
+    benchFinder: {
+      targetId: null,
+      prefer: "inner", // inner | band
+      layer: null,
+    },
+    zoneEdit: {
+      active: false,
+      zoneId: null,
+      polygon: null,
+    },
+    history: {
+      undo: [], // [{label, changes: [{kind, id, before, after}], at}]
+      redo: [],
+    },
+    workspaces: {
+      list: [], // [{id, name, data}]; data is stale for the active workspace
+      activeId: null,
+    },
+    sessions: {
+      list: [], // [{id, species, anchorId, anchorName, anchor, startedAt,
+      //           endedAt, pausedAt, pausedMs, resets: [elapsed ms]}]
+      timer: null, // 1s readout refresh while a session runs
+    },
+    snapshots: [], // newest first: [{id, at, reason, workspaceId, workspaceName, data}]
+    snapshotId: null, // snapshot open in the browser
+    importDraft: null, // parsed file waiting in the import dialog
+    storageRecovery: null, // {raw, error} while a corrupt save awaits a decision
+    storageFull: false, // the last save hit the quota; warned once until one succeeds
+    share: {
+      pending: null, // decoded payload from a #share= link
+      preview: false, // read-only preview: persist() is a no-op
+      local: null, // local data set aside while previewing
+    },
     pendingSave: null,
     persisted: null,
   };
@@ -116,8 +234,45 @@ const App = (() => {
     return words.map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
   };
 
+  const cloneData = (value) =>
+    value ? JSON.parse(JSON.stringify(value)) : null;
+
   const toUnits = (value) => Number.parseFloat(value) || 0;
 
+  const formatTimestamp = (iso) =>
+    new Date(iso).toLocaleString([], {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const escapeHtml = (text) =>
+    String(text ?? "").replace(
+      /[&<>"']/g,
+      (ch) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        })[ch]
+    );
+
+  // Tags are lowercase, trimmed and unique; accepts an array or "a, b" text
+  const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+    return [
+      ...new Set(
+        list
+          .filter((tag) => typeof tag === "string")
+          .map((tag) => tag.trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+  };
+
   const formatDistance = (latlngA, latlngB) => {
     const dx = latlngB.lng - latlngA.lng;
     const dy = latlngB.lat - latlngA.lat;
@@ -156,13 +311,14 @@ const App = (() => {
         el.style.backgroundImage = `url(${ICONS[data.type] || ICONS.bench})`;
       }
     });
-    const shinyEl = state.shiny.marker?.getElement?.();
-    if (shinyEl) {
+    state.shiny.views.forEach(({ marker }) => {
+      const shinyEl = marker.getElement?.();
+      if (!shinyEl) return;
       const base = BASE_ICON_SIZES.shiny;
       const size = base * factor;
       shinyEl.style.width = `${size}px`;
       shinyEl.style.height = `${size}px`;
-    }
+    });
   };
 
   /* Initialization */
@@ -175,9 +331,14 @@ const App = (() => {
     loadPersisted();
     await loadInitialImage();
     await loadMarkers();
+    renderBulkSelection();
+    renderSessions();
     closeResetModal();
     ensureShinyRadius();
     syncShinyRingButtons();
+    loadSnapshots();
+    setInterval(() => takeSnapshot("Scheduled"), SNAPSHOT_INTERVAL_MS);
+    await checkShareLink();
   };
 
   const cacheDom = () => {
@@ -189,14 +350,80 @@ const App = (() => {
     dom.ppuReadout = document.getElementById("ppu-readout");
     dom.measurePixels = document.getElementById("measure-pixels");
     dom.measureUnits = document.getElementById("measure-units");
+    dom.measureLegs = document.getElementById("measure-legs");
+    dom.measureSummary = document.getElementById("measure-summary");
+    dom.measureUndo = document.getElementById("measure-undo");
+    dom.measureClear = document.getElementById("measure-clear");
+    dom.pathName = document.getElementById("path-name");
+    dom.savePath = document.getElementById("save-path");
+    dom.pathList = document.getElementById("path-list");
+    dom.routeStart = document.getElementById("route-start");
+    dom.routePickStart = document.getElementById("route-pick-start");
+    dom.routeSelectAll = document.getElementById("route-select-all");
+    dom.routeClear = document.getElementById("route-clear");
+    dom.routeStops = document.getElementById("route-stops");
+    dom.routeSummary = document.getElementById("route-summary");
+    dom.routeOrder = document.getElementById("route-order");
+    dom.workspaceSelect = document.getElementById("workspace-select");
+    dom.workspaceNew = document.getElementById("workspace-new");
+    dom.workspaceRename = document.getElementById("workspace-rename");
+    dom.workspaceDuplicate = document.getElementById("workspace-duplicate");
+    dom.workspaceExport = document.getElementById("workspace-export");
+    dom.workspaceDelete = document.getElementById("workspace-delete");
+    dom.bulkShapeBox = document.getElementById("bulk-shape-box");
+    dom.bulkShapeLasso = document.getElementById("bulk-shape-lasso");
+    dom.bulkSummary = document.getElementById("bulk-summary");
+    dom.bulkColor = document.getElementById("bulk-color");
+    dom.bulkRecolor = document.getElementById("bulk-recolor");
+    dom.bulkSticker = document.getElementById("bulk-sticker");
+    dom.bulkSetSticker = document.getElementById("bulk-set-sticker");
+    dom.bulkLabel = document.getElementById("bulk-label");
+    dom.bulkRelabel = document.getElementById("bulk-relabel");
+    dom.bulkLock = document.getElementById("bulk-lock");
+    dom.bulkUnlock = document.getElementById("bulk-unlock");
+    dom.bulkDelete = document.getElementById("bulk-delete");
+    dom.bulkClear = document.getElementById("bulk-clear");
+    dom.sessionSpecies = document.getElementById("session-species");
+    dom.sessionStart = document.getElementById("session-start");
+    dom.sessionPause = document.getElementById("session-pause");
+    dom.sessionStop = document.getElementById("session-stop");
+    dom.sessionReset = document.getElementById("session-reset");
+    dom.sessionElapsed = document.getElementById("session-elapsed");
+    dom.sessionResets = document.getElementById("session-resets");
+    dom.sessionRate = document.getElementById("session-rate");
+    dom.sessionStatus = document.getElementById("session-status");
+    dom.sessionList = document.getElementById("session-list");
+    dom.sessionCsv = document.getElementById("session-csv");
+    dom.huntSummary = document.getElementById("hunt-summary");
+    dom.huntList = document.getElementById("hunt-list");
+    dom.huntStatusFilter = document.getElementById("hunt-status-filter");
+    dom.snapshotTake = document.getElementById("snapshot-take");
+    dom.snapshotList = document.getElementById("snapshot-list");
+    dom.snapshotDetail = document.getElementById("snapshot-detail");
+    dom.searchInput = document.getElementById("marker-search");
+    dom.searchSummary = document.getElementById("search-summary");
+    dom.searchResults = document.getElementById("search-results");
+    dom.navStartLevel = document.getElementById("nav-start-level");
+    dom.navEndLevel = document.getElementById("nav-end-level");
+    dom.navPickStart = document.getElementById("nav-pick-start");
+    dom.navPickEnd = document.getElementById("nav-pick-end");
+    dom.navRoofHop = document.getElementById("nav-roof-hop");
+    dom.navClear = document.getElementById("nav-clear");
+    dom.navSummary = document.getElementById("nav-summary");
+    dom.navSteps = document.getElementById("nav-steps");
     dom.shinyRecenter = document.getElementById("shiny-recenter");
     dom.toggleRing50 = document.getElementById("toggle-ring-50");
     dom.toggleRing70 = document.getElementById("toggle-ring-70");
+    dom.ringLegend0 = document.getElementById("legend-ring-0");
+    dom.ringLegend1 = document.getElementById("legend-ring-1");
+    dom.anchorList = document.getElementById("anchor-list");
+    dom.addAnchor = document.getElementById("add-anchor");
     dom.measureBtn = document.getElementById("measure-mode");
     dom.addBtn = document.getElementById("add-mode");
     dom.editBtn = document.getElementById("edit-mode");
     dom.deleteBtn = document.getElementById("delete-mode");
     dom.zoneBtn = document.getElementById("zone-mode");
+    dom.zoneEditBtn = document.getElementById("zone-edit-mode");
     dom.markerLabel = document.getElementById("marker-label");
     dom.typeCircle = document.getElementById("type-circle");
     dom.typeSprite = document.getElementById("type-sprite");
@@ -206,27 +433,79 @@ const App = (() => {
     dom.zoneNumber = document.getElementById("zone-number");
     dom.toggleUsers = document.getElementById("toggle-users");
     dom.layerBenches = document.getElementById("layer-benches");
+    dom.layerCanvas = document.getElementById("layer-canvas");
+    dom.layerClusters = document.getElementById("layer-clusters");
     dom.layerLadders = document.getElementById("layer-ladders");
     dom.layerElevators = document.getElementById("layer-elevators");
     dom.layerZones = document.getElementById("layer-zones");
+    dom.layerSprites = document.getElementById("layer-sprites");
+    dom.spriteFilterSummary = document.getElementById("sprite-filter-summary");
+    dom.spriteSpecies = document.getElementById("sprite-species");
+    dom.spriteForms = document.getElementById("sprite-forms");
+    dom.spriteTags = document.getElementById("sprite-tags");
+    dom.spriteFilterClear = document.getElementById("sprite-filter-clear");
     dom.snapToggle = document.getElementById("snap-toggle");
     dom.gridSize = document.getElementById("grid-size");
     dom.downloadAll = document.getElementById("download-all");
     dom.downloadPresets = document.getElementById("download-presets");
     dom.downloadUsers = document.getElementById("download-users");
+    dom.downloadGeojson = document.getElementById("download-geojson");
     dom.copyJson = document.getElementById("copy-json");
     dom.importUsers = document.getElementById("import-users");
     dom.importUsersFile = document.getElementById("import-users-file");
+    dom.importModal = document.getElementById("import-modal");
+    dom.importSource = document.getElementById("import-source");
+    dom.importPreview = document.getElementById("import-preview");
+    dom.confirmImport = document.getElementById("confirm-import");
+    dom.cancelImport = document.getElementById("cancel-import");
+    dom.importClose = document.getElementById("import-close");
+    dom.recoveryModal = document.getElementById("recovery-modal");
+    dom.recoveryError = document.getElementById("recovery-error");
+    dom.recoveryRestore = document.getElementById("recovery-restore");
+    dom.recoveryDownload = document.getElementById("recovery-download");
+    dom.recoveryFresh = document.getElementById("recovery-fresh");
+    dom.validationModal = document.getElementById("validation-modal");
+    dom.validationSummary = document.getElementById("validation-summary");
+    dom.validationList = document.getElementById("validation-list");
+    dom.validationClose = document.getElementById("validation-close");
+    dom.validationOk = document.getElementById("validation-ok");
     dom.resetBtn = document.getElementById("reset-btn");
     dom.resetModal = document.getElementById("reset-modal");
     dom.confirmReset = document.getElementById("confirm-reset");
     dom.cancelReset = document.getElementById("cancel-reset");
     dom.resetClose = document.getElementById("reset-close");
+    dom.resetOptions = document.getElementById("reset-options");
+    dom.resetSummary = document.getElementById("reset-summary");
+    dom.copyShareLink = document.getElementById("copy-share-link");
+    dom.shareModal = document.getElementById("share-modal");
+    dom.shareSummary = document.getElementById("share-summary");
+    dom.sharePreview = document.getElementById("share-preview");
+    dom.shareMergeModal = document.getElementById("share-merge-modal");
+    dom.shareIgnore = document.getElementById("share-ignore");
+    dom.shareClose = document.getElementById("share-close");
+    dom.shareBanner = document.getElementById("share-banner");
+    dom.shareMerge = document.getElementById("share-merge");
+    dom.shareExit = document.getElementById("share-exit");
     dom.inspectorLabel = document.getElementById("inspector-label");
     dom.inspectorType = document.getElementById("inspector-type");
     dom.inspectorColor = document.getElementById("inspector-color");
     dom.inspectorSticker = document.getElementById("inspector-sticker");
+    dom.inspector = document.getElementById("inspector");
+    dom.inspectorNotes = document.getElementById("inspector-notes");
+    dom.inspectorTags = document.getElementById("inspector-tags");
+    dom.inspectorDates = document.getElementById("inspector-dates");
+    dom.tagFilter = document.getElementById("tag-filter");
     dom.applyInspector = document.getElementById("apply-inspector");
+    dom.undoBtn = document.getElementById("undo-btn");
+    dom.redoBtn = document.getElementById("redo-btn");
+    dom.historyStatus = document.getElementById("history-status");
+    dom.coverageSummary = document.getElementById("coverage-summary");
+    dom.coverageList = document.getElementById("coverage-list");
+    dom.benchPrefer = document.getElementById("bench-prefer");
+    dom.benchUseSelection = document.getElementById("bench-use-selection");
+    dom.benchClear = document.getElementById("bench-clear");
+    dom.benchSummary = document.getElementById("bench-summary");
+    dom.benchList = document.getElementById("bench-list");
   };
 
   const guardPanelEvents = () => {
@@ -253,6 +532,84 @@ const App = (() => {
     dom.toggleRing70?.addEventListener("click", () =>
       toggleShinyRing(1, dom.toggleRing70)
     );
+    dom.addAnchor?.addEventListener("click", addShinyAnchor);
+    dom.measureUndo?.addEventListener("click", () =>
+      removeMeasurePoint(state.measure.points.length - 1)
+    );
+    dom.measureClear?.addEventListener("click", resetMeasureArtifacts);
+    dom.savePath?.addEventListener("click", saveMeasurePath);
+    dom.routeStart?.addEventListener("change", (e) =>
+      setRouteStart(e.target.value)
+    );
+    dom.routePickStart?.addEventListener("click", pickRouteStart);
+    dom.routeSelectAll?.addEventListener("click", () =>
+      setRouteStops(getRouteCandidates().map((m) => m.id))
+    );
+    dom.routeClear?.addEventListener("click", () => setRouteStops([]));
+    dom.workspaceSelect?.addEventListener("change", (e) =>
+      switchWorkspace(e.target.value)
+    );
+    dom.workspaceNew?.addEventListener("click", createWorkspace);
+    dom.workspaceRename?.addEventListener("click", renameWorkspace);
+    dom.workspaceDuplicate?.addEventListener("click", duplicateWorkspace);
+    dom.workspaceExport?.addEventListener("click", exportWorkspace);
+    dom.workspaceDelete?.addEventListener("click", deleteWorkspace);
+    dom.bulkShapeBox?.addEventListener("click", () => setBulkShape("box"));
+    dom.bulkShapeLasso?.addEventListener("click", () => setBulkShape("lasso"));
+    dom.bulkRecolor?.addEventListener("click", () =>
+      recolorBulk(dom.bulkColor.value)
+    );
+    dom.bulkSetSticker?.addEventListener("click", () =>
+      setBulkSticker(dom.bulkSticker.value)
+    );
+    dom.bulkRelabel?.addEventListener("click", () =>
+      relabelBulk(dom.bulkLabel.value)
+    );
+    dom.bulkLock?.addEventListener("click", () => setBulkLocked(true));
+    dom.bulkUnlock?.addEventListener("click", () => setBulkLocked(false));
+    dom.bulkDelete?.addEventListener("click", deleteBulk);
+    dom.bulkClear?.addEventListener("click", clearBulkSelection);
+    dom.huntStatusFilter?.addEventListener("change", renderHuntSummary);
+    dom.sessionStart?.addEventListener("click", startSession);
+    dom.sessionPause?.addEventListener("click", toggleSessionPause);
+    dom.sessionStop?.addEventListener("click", stopSession);
+    dom.sessionReset?.addEventListener("click", () => logSessionReset(1));
+    dom.sessionCsv?.addEventListener("click", downloadSessionCsv);
+    dom.snapshotTake?.addEventListener("click", () => {
+      takeSnapshot("Manual");
+    });
+    dom.searchInput?.addEventListener("input", debounce(updateSearch, 150));
+    dom.searchInput?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        dom.searchResults.querySelector("button")?.click();
+      }
+      if (e.key === "Escape") {
+        dom.searchInput.value = "";
+        updateSearch();
+        dom.searchInput.blur();
+      }
+    });
+    dom.navStartLevel?.addEventListener("change", (e) => {
+      state.nav.startLevel = e.target.value;
+      updateNavigation();
+    });
+    dom.navEndLevel?.addEventListener("change", (e) => {
+      state.nav.endLevel = e.target.value;
+      updateNavigation();
+    });
+    dom.navRoofHop?.addEventListener("change", (e) => {
+      const value = Number.parseFloat(e.target.value);
+      state.nav.maxRoofHop = value > 0 ? value : NAV_DEFAULT_ROOF_HOP_UNITS;
+      e.target.value = state.nav.maxRoofHop;
+      updateNavigation();
+    });
+    dom.navPickStart?.addEventListener("click", () => pickNavPoint("start"));
+    dom.navPickEnd?.addEventListener("click", () => pickNavPoint("end"));
+    dom.navClear?.addEventListener("click", () => {
+      state.nav.start = null;
+      state.nav.end = null;
+      updateNavigation();
+    });
 
     dom.measureBtn.addEventListener("click", () =>
       setMeasureMode(!state.measureMode)
@@ -265,6 +622,9 @@ const App = (() => {
     dom.zoneBtn.addEventListener("click", () =>
       setZoneMode(!state.zoneDrawing.active)
     );
+    dom.zoneEditBtn.addEventListener("click", () =>
+      setZoneEditMode(!state.zoneEdit.active)
+    );
 
     dom.typeCircle?.addEventListener("click", (e) => {
       e.preventDefault();
@@ -288,6 +648,12 @@ const App = (() => {
     dom.toggleUsers.addEventListener("click", () =>
       toggleLayer("users", dom.toggleUsers)
     );
+    dom.layerClusters?.addEventListener("click", () =>
+      setClustering(!state.clustering)
+    );
+    dom.layerCanvas?.addEventListener("click", () =>
+      setCanvasPresets(!state.canvasPresets)
+    );
     dom.layerBenches.addEventListener("click", () =>
       toggleLayer("benches", dom.layerBenches)
     );
@@ -300,6 +666,12 @@ const App = (() => {
     dom.layerZones.addEventListener("click", () =>
       toggleLayer("zones", dom.layerZones)
     );
+    dom.layerSprites?.addEventListener("click", () => {
+      toggleLayer("sprites", dom.layerSprites);
+      renderSpriteFilter();
+      persist();
+    });
+    dom.spriteFilterClear?.addEventListener("click", clearSpriteFilter);
 
     dom.snapToggle.addEventListener("change", () => {
       state.snap = dom.snapToggle.checked;
@@ -315,11 +687,33 @@ const App = (() => {
       downloadMarkers("preset")
     );
     dom.downloadUsers.addEventListener("click", () => downloadMarkers("user"));
+    dom.downloadGeojson?.addEventListener("click", downloadGeoJson);
     dom.copyJson.addEventListener("click", () => copyMarkers());
     dom.importUsers?.addEventListener("click", () =>
       dom.importUsersFile?.click()
     );
     dom.importUsersFile?.addEventListener("change", handleImportUsers);
+    dom.importModal
+      ?.querySelectorAll('input[name="import-mode"]')
+      .forEach((input) =>
+        input.addEventListener("change", renderImportPreview)
+      );
+    dom.confirmImport?.addEventListener("click", confirmImport);
+    dom.cancelImport?.addEventListener("click", closeImportModal);
+    dom.importClose?.addEventListener("click", closeImportModal);
+    dom.recoveryRestore?.addEventListener("click", restoreLastGood);
+    dom.recoveryDownload?.addEventListener("click", downloadRawState);
+    dom.recoveryFresh?.addEventListener("click", startFresh);
+    dom.validationClose?.addEventListener("click", closeValidationModal);
+    dom.validationOk?.addEventListener("click", closeValidationModal);
+
+    dom.copyShareLink?.addEventListener("click", () => copyShareLink());
+    dom.sharePreview?.addEventListener("click", startSharePreview);
+    dom.shareMergeModal?.addEventListener("click", () => mergeSharedSetup());
+    dom.shareIgnore?.addEventListener("click", dismissShareLink);
+    dom.shareClose?.addEventListener("click", dismissShareLink);
+    dom.shareMerge?.addEventListener("click", () => mergeSharedSetup());
+    dom.shareExit?.addEventListener("click", exitSharePreview);
 
     dom.resetBtn.addEventListener("click", openResetModal);
     dom.cancelReset.addEventListener("click", closeResetModal);
@@ -330,6 +724,20 @@ const App = (() => {
     });
 
     dom.applyInspector.addEventListener("click", applyInspectorEdits);
+    dom.benchPrefer?.addEventListener("change", (e) => {
+      state.benchFinder.prefer = e.target.value;
+      updateBenchFinder();
+    });
+    dom.benchUseSelection?.addEventListener("click", () => {
+      if (!state.selection) {
+        alert("Select a circle or Pokémon marker first.");
+        return;
+      }
+      findBestBench(state.selection);
+    });
+    dom.benchClear?.addEventListener("click", () => findBestBench(null));
+    dom.undoBtn?.addEventListener("click", undo);
+    dom.redoBtn?.addEventListener("click", redo);
 
     window.addEventListener("keydown", handleShortcuts);
   };
@@ -341,12 +749,18 @@ const App = (() => {
       state.stickers = Array.isArray(list)
         ? list.slice().sort((a, b) => a.localeCompare(b))
         : [];
+      state.stickerSlugs = new Set(state.stickers.map(getStickerSlug));
+      state.stickerSpecies = [
+        ...new Set(state.stickers.map((name) => parseSprite(name).species)),
+      ].sort((a, b) => a.localeCompare(b));
     } catch (err) {
       console.warn("Failed to load sticker list", err);
       state.stickers = [];
     }
     populateStickerSelect(dom.stickerSelect, state.stickers);
     populateStickerSelect(dom.inspectorSticker, state.stickers);
+    populateStickerSelect(dom.bulkSticker, state.stickers);
+    populateStickerSelect(dom.sessionSpecies, state.stickers);
     if (state.stickers.length) {
       state.currentSticker = state.currentSticker || state.stickers[0];
       dom.stickerSelect.value = state.currentSticker;
@@ -437,9 +851,14 @@ const App = (() => {
         maxZoom: 6,
         zoomSnap: 0.1,
         attributionControl: false,
+        // Shift-drag is taken by multi-select in Edit mode
+        boxZoom: false,
       });
       state.map.on("click", handleMapClick);
+      state.map.on("mousedown", startBulkSelect);
+      state.map.on("contextmenu", showNearHere);
       state.map.on("zoomend", updateIconScales);
+      state.map.on("zoomend", updateClusters);
       initLayers();
       initMeasureTools();
     }
@@ -477,13 +896,23 @@ const App = (() => {
 
   const ensureShinyRadius = () => {
     if (!state.map) return;
-    const center = state.shiny.center || state.map.getCenter();
-    createOrUpdateShiny(center);
+    const mapCenter = state.map.getCenter();
+    if (!state.shiny.seeded) {
+      state.shiny.anchors.push(normalizeAnchor({}, 0));
+      state.shiny.seeded = true;
+    }
+    state.shiny.anchors.forEach((anchor) => {
+      if (!anchor.center) {
+        anchor.center = { lat: mapCenter.lat, lng: mapCenter.lng };
+      }
+    });
+    renderShinyAnchors();
   };
 
   const recalcZoomLimits = () => {
     if (!state.map || !state.bounds) return;
     const fitZoom = state.map.getBoundsZoom(state.bounds, true);
+    state.fitZoom = fitZoom;
     const minZoom = fitZoom - 2.5; // allow wider zoom-out
     const maxZoom = fitZoom + 4;
     state.map.setMinZoom(minZoom);
@@ -507,11 +936,177 @@ const App = (() => {
     };
     state.zonesLayer = L.layerGroup();
     state.zonesLayer.addTo(state.map);
+    state.spatialIndex = createQuadtree(() => {
+      if (!state.bounds) return null;
+      const { x: x0, y: y0 } = toIndexPoint(L.latLng(state.bounds[0]));
+      const { x: x1, y: y1 } = toIndexPoint(L.latLng(state.bounds[1]));
+      return { x0, y0, x1, y1 };
+    });
+    state.map.createPane("presetCanvas").style.zIndex = 590;
+    state.presetCanvas = new PresetCanvasLayer({ pane: "presetCanvas" });
+    state.presetCanvas.addTo(state.map);
+  };
+
+  /* Canvas preset layer */
+  const PresetCanvasLayer = L.Layer.extend({
+    onAdd(map) {
+      this._canvas = L.DomUtil.create(
+        "canvas",
+        "preset-canvas leaflet-zoom-hide"
+      );
+      this._images = new Map();
+      this.getPane().appendChild(this._canvas);
+      map.on("move resize zoomend viewreset", this._reset, this);
+      map.on("mousemove", this._onMouseMove, this);
+      this._reset();
+    },
+
+    onRemove(map) {
+      map.off("move resize zoomend viewreset", this._reset, this);
+      map.off("mousemove", this._onMouseMove, this);
+      map.getContainer().classList.remove("canvas-hover");
+      L.DomUtil.remove(this._canvas);
+    },
+
+    redraw() {
+      if (this._map && !this._frame) {
+        this._frame = L.Util.requestAnimFrame(() => {
+          this._frame = null;
+          this._draw();
+        });
+      }
+      return this;
+    },
+
+    // Returns the topmost visible canvas marker under a container point
+    hitTest(point) {
+      if (!this._map) return null;
+      const items = this._visibleItems();
+      for (let i = items.length - 1; i >= 0; i--) {
+        const { data, x, y, size } = items[i];
+        const half = size / 2;
+        if (Math.abs(point.x - x) <= half && Math.abs(point.y - y) <= half) {
+          return data;
+        }
+      }
+      return null;
+    },
+
+    _reset() {
+      const size = this._map.getSize();
+      const ratio = window.devicePixelRatio || 1;
+      L.DomUtil.setPosition(
+        this._canvas,
+        this._map.containerPointToLayerPoint([0, 0])
+      );
+      this._canvas.width = size.x * ratio;
+      this._canvas.height = size.y * ratio;
+      this._canvas.style.width = `${size.x}px`;
+      this._canvas.style.height = `${size.y}px`;
+      this._draw();
+    },
+
+    _visibleItems() {
+      const map = this._map;
+      const size = map.getSize();
+      const factor = getZoomScale();
+      const items = [];
+      state.markersIndex.forEach(({ data, canvas, clustered, filtered }) => {
+        if (!canvas || clustered || filtered) return;
+        if (!map.hasLayer(state.layers[data.source][data.type])) return;
+        const pt = map.latLngToContainerPoint([data.lat, data.lng]);
+        const iconSize =
+          (BASE_ICON_SIZES[data.type] || BASE_ICON_SIZES.bench) * factor;
+        const half = iconSize / 2;
+        if (
+          pt.x < -half ||
+          pt.y < -half ||
+          pt.x > size.x + half ||
+          pt.y > size.y + half
+        ) {
+          return;
+        }
+        items.push({ data, x: pt.x, y: pt.y, size: iconSize });
+      });
+      return items;
+    },
+
+    _draw() {
+      if (!this._map) return;
+      const ctx = this._canvas.getContext("2d");
+      const ratio = window.devicePixelRatio || 1;
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+      this._visibleItems().forEach(({ data, x, y, size }) => {
+        if (state.bulk.ids.has(data.id)) {
+          ctx.beginPath();
+          ctx.arc(x, y, size / 2 + 3, 0, Math.PI * 2);
+          ctx.strokeStyle = "#facc15";
+          ctx.lineWidth = 2;
+          ctx.stroke();
+          ctx.lineWidth = 1;
+        }
+        if (data.type === "circle") {
+          ctx.beginPath();
+          ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+          ctx.fillStyle = data.color || state.currentColor;
+          ctx.fill();
+          ctx.strokeStyle = "rgba(255, 255, 255, 0.14)";
+          ctx.stroke();
+          return;
+        }
+        const src =
+          data.type === "sprite"
+            ? getStickerPath(data.sprite)
+            : ICONS[data.type] || ICONS.bench;
+        const img = this._getImage(src);
+        if (img.complete && img.naturalWidth) {
+          // Match background-size: contain on the DOM icons
+          const scale = size / Math.max(img.naturalWidth, img.naturalHeight);
+          const w = img.naturalWidth * scale;
+          const h = img.naturalHeight * scale;
+          ctx.drawImage(img, x - w / 2, y - h / 2, w, h);
+        }
+      });
+    },
+
+    _getImage(src) {
+      let img = this._images.get(src);
+      if (!img) {
+        img = new Image();
+        img.onload = () => this.redraw();
+        img.src = src;
+        this._images.set(src, img);
+      }
+      return img;
+    },
+
+    _onMouseMove(e) {
+      this._map
+        .getContainer()
+        .classList.toggle("canvas-hover", !!this.hitTest(e.containerPoint));
+    },
+  });
+
+  const setCanvasPresets = (on) => {
+    state.canvasPresets = on;
+    dom.layerCanvas?.classList.toggle("active", on);
+    dom.layerCanvas?.classList.toggle("toggle-off", !on);
+    renderAllMarkers();
+    persist();
   };
 
   const refreshLayerVisibility = () => {
-    const { presets, users, benches, ladders, elevators, circles, zones } =
-      state.visibility;
+    const {
+      presets,
+      users,
+      benches,
+      ladders,
+      elevators,
+      circles,
+      sprites,
+      zones,
+    } = state.visibility;
     const toggleGroup = (group, enabled) => {
       Object.values(group).forEach((lg) => {
         if (enabled) {
@@ -527,7 +1122,7 @@ const App = (() => {
       ladder: ladders,
       elevator: elevators,
       circle: circles,
-      sprite: true,
+      sprite: sprites,
     };
 
     // Apply type filters by adding/removing specific subgroups
@@ -547,194 +1142,1434 @@ const App = (() => {
     } else {
       state.map.removeLayer(state.zonesLayer);
     }
+    applyMarkerFilters();
+    updateClusters();
   };
 
-  /* Marker data loading */
-  const loadPersisted = () => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return;
-      const parsed = JSON.parse(raw);
-      state.persisted = parsed;
-      if (parsed.gridSize) {
-        state.gridSize = parsed.gridSize;
-        dom.gridSize.value = String(parsed.gridSize);
-      }
-      if (parsed.snap !== undefined) {
-        state.snap = parsed.snap;
-        dom.snapToggle.checked = parsed.snap;
-      }
-      if (parsed.shinyCenter) {
-        state.shiny.center = parsed.shinyCenter;
-      }
-      if (parsed.customMarkers) {
-        state.data.customMarkers = parsed.customMarkers.map((m) =>
-          normalizeMarker(m, "user")
-        );
-      }
-    } catch (err) {
-      console.warn("Failed to load persisted state", err);
-    }
+  /* Tag filter (narrows every layer to markers carrying a chosen tag) */
+  const matchesTagFilter = (data) =>
+    !state.tagFilter.length ||
+    (data.tags || []).some((tag) => state.tagFilter.includes(tag));
+
+  const passesFilters = (data) =>
+    matchesTagFilter(data) && matchesSpriteFilter(data);
+
+  // Filtered DOM markers leave their layer group; canvas and clusters skip them
+  const applyMarkerFilters = () => {
+    state.markersIndex.forEach((record) => {
+      record.filtered = !passesFilters(record.data);
+      if (!record.marker) return;
+      const group = state.layers[record.data.source]?.[record.data.type];
+      if (!group) return;
+      if (record.filtered) group.removeLayer(record.marker);
+      else if (!group.hasLayer(record.marker)) group.addLayer(record.marker);
+    });
+    state.presetCanvas?.redraw();
   };
 
-  const loadMarkers = async () => {
-    let fetched = [];
-    try {
-      const res = await fetch("markers.json");
-      fetched = await res.json();
-    } catch (err) {
-      console.warn("Failed to fetch markers.json", err);
-    }
+  const getAllTags = () => {
+    const counts = new Map();
+    [...state.data.presetMarkers, ...state.data.userMarkers].forEach((m) =>
+      (m.tags || []).forEach((tag) =>
+        counts.set(tag, (counts.get(tag) || 0) + 1)
+      )
+    );
+    return [...counts.entries()].sort(([a], [b]) => a.localeCompare(b));
+  };
 
-    let markersFromFile = [];
-    let zonesFromFile = [];
-    if (Array.isArray(fetched)) {
-      markersFromFile = fetched;
-    } else if (fetched && typeof fetched === "object") {
-      markersFromFile = fetched.markers || [];
-      zonesFromFile = fetched.zones || [];
+  const renderTagFilter = () => {
+    if (!dom.tagFilter) return;
+    const tags = getAllTags();
+    const known = new Set(tags.map(([tag]) => tag));
+    const kept = state.tagFilter.filter((tag) => known.has(tag));
+    if (kept.length !== state.tagFilter.length) {
+      state.tagFilter = kept;
+      refreshLayerVisibility();
     }
+    dom.tagFilter.innerHTML = "";
+    dom.tagFilter.classList.toggle("hidden", !tags.length);
+    tags.forEach(([tag, count]) => {
+      const on = state.tagFilter.includes(tag);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `pill${on ? " active" : " toggle-off"}`;
+      btn.textContent = `#${tag} (${count})`;
+      btn.addEventListener("click", () => toggleTagFilter(tag));
+      dom.tagFilter.appendChild(btn);
+    });
+  };
 
-    const filterNonShiny = (arr) =>
-      Array.isArray(arr) ? arr.filter((m) => m?.type !== "shiny") : [];
-
-    const normalizedPresets = filterNonShiny(markersFromFile).map((m) =>
-      normalizeMarker(m, "preset")
-    );
-    state.data.originalPresets = normalizedPresets.map((m) => ({ ...m }));
+  const toggleTagFilter = (tag) => {
+    state.tagFilter = state.tagFilter.includes(tag)
+      ? state.tagFilter.filter((t) => t !== tag)
+      : [...state.tagFilter, tag];
+    refreshLayerVisibility();
+    renderTagFilter();
+  };
 
-    const savedPresets = filterNonShiny(state.persisted?.presetMarkers || []);
-    const savedUsers = filterNonShiny(state.persisted?.userMarkers || []);
-    const savedZones = state.persisted?.zones || [];
-    const savedCustom =
-      state.persisted?.customMarkers?.map((m) => normalizeMarker(m, "user")) ||
-      [];
+  /* Sprite filter (Pokémon markers by species, form and tag) */
+  const getStickerSlug = (sprite) =>
+    (sprite || "").replace(/\.png$/, "").replace(/\.shiny$/, "");
 
-    const savedById = new Map(savedPresets.map((m) => [m.id, m]));
-    const mergedPresets = normalizedPresets.map((marker) => {
-      const saved = savedById.get(marker.id);
-      return saved ? normalizeMarker(saved, "preset") : marker;
-    });
-    // Include any saved presets that are missing from file
-    savedPresets.forEach((m) => {
-      if (!mergedPresets.find((p) => p.id === m.id)) {
-        mergedPresets.push(normalizeMarker(m, "preset"));
+  // Species is the longest shorter name that is a sticker of its own
+  // (pikachu-kalos-cap -> pikachu, mr-mime-galar -> mr-mime). Without a
+  // sticker list it falls back to the part before the first form.
+  const parseSprite = (sprite) => {
+    const slug = getStickerSlug(sprite);
+    const parts = slug.split("-");
+    const forms = parts.filter((part) => SPRITE_FORMS.includes(part));
+    const firstForm = parts.findIndex((part) => SPRITE_FORMS.includes(part));
+    let species = firstForm > 0 ? parts.slice(0, firstForm).join("-") : slug;
+    for (let i = parts.length - 1; i > 0; i--) {
+      const candidate = parts.slice(0, i).join("-");
+      if (state.stickerSlugs.has(candidate)) {
+        species = candidate;
+        break;
       }
-    });
+    }
+    return { species, forms: forms.length ? forms : ["base"] };
+  };
 
-    state.data.presetMarkers = mergedPresets;
-    state.data.userMarkers = savedUsers.map((m) => normalizeMarker(m, "user"));
-    state.data.customMarkers =
-      savedCustom.length > 0
-        ? savedCustom
-        : state.data.userMarkers.filter(
-            (m) =>
-              m.source === "user" &&
-              (m.type === "circle" || m.type === "sprite")
-          );
-    state.data.zones = zonesFromFile
-      .concat(savedZones)
-      .map((z) => normalizeZone(z));
+  const matchesSpriteFilter = (data) => {
+    if (data.type !== "sprite") return true;
+    const { species, forms, tags } = state.spriteFilter;
+    const info = parseSprite(data.sprite);
+    return (
+      (!species.length || species.includes(info.species)) &&
+      (!forms.length || info.forms.some((form) => forms.includes(form))) &&
+      (!tags.length || (data.tags || []).some((tag) => tags.includes(tag)))
+    );
+  };
 
-    renderAllMarkers();
-    renderZones();
+  const normalizeSpriteFilter = (filter) => {
+    const list = (value) =>
+      Array.isArray(value)
+        ? [...new Set(value.filter((item) => typeof item === "string"))]
+        : [];
+    return {
+      species: list(filter?.species),
+      forms: list(filter?.forms).filter(
+        (form) => form === "base" || SPRITE_FORMS.includes(form)
+      ),
+      tags: normalizeTags(list(filter?.tags)),
+    };
   };
 
-  const normalizeMarker = (marker, source) => {
-    const base = { ...marker };
-    base.id = base.id || uuid(source === "preset" ? "pre" : "usr");
-    base.type = base.type || "bench";
-    base.sprite = base.sprite || "";
-    base.label =
-      base.label ||
-      (base.type === "sprite"
-        ? formatStickerLabel(base.sprite)
-        : `${base.type} marker`);
-    base.lat = toUnits(base.lat);
-    base.lng = toUnits(base.lng);
-    base.source = source;
-    base.locked = Boolean(base.locked);
-    if (base.type === "circle" && !base.color) base.color = "#4fc3f7";
-    if (base.type !== "sprite") delete base.sprite;
-    return base;
+  // Counts per species/form/tag over every placed Pokémon marker
+  const getSpriteFilterCounts = () => {
+    const counts = { species: new Map(), forms: new Map(), tags: new Map() };
+    const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const sprites = [
+      ...state.data.presetMarkers,
+      ...state.data.userMarkers,
+    ].filter((m) => m.type === "sprite");
+    sprites.forEach((m) => {
+      const info = parseSprite(m.sprite);
+      bump(counts.species, info.species);
+      info.forms.forEach((form) => bump(counts.forms, form));
+      (m.tags || []).forEach((tag) => bump(counts.tags, tag));
+    });
+    return {
+      counts,
+      total: sprites.length,
+      shown: sprites.filter(passesFilters),
+    };
   };
 
-  const normalizeZone = (zone) => {
-    const base = { ...zone };
-    base.id = base.id || uuid("zone");
-    base.label = base.label || base.name || `Zone ${base.number || ""}`.trim();
-    base.number = base.number || 1;
-    base.points = Array.isArray(base.points)
-      ? base.points.map((p) => ({ lat: toUnits(p.lat), lng: toUnits(p.lng) }))
-      : [];
-    return base;
+  const buildFilterPill = (key, value, label, count) => {
+    const on = state.spriteFilter[key].includes(value);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `pill${on ? " active" : " toggle-off"}${
+      count ? "" : " empty"
+    }`;
+    btn.textContent = `${label} (${count})`;
+    btn.addEventListener("click", () => toggleSpriteFilter(key, value));
+    return btn;
   };
 
-  /* Marker rendering */
-  const renderAllMarkers = () => {
-    if (!state.layers) return;
-    state.markersIndex.forEach(({ view }) => view && view.remove());
-    state.markersIndex.clear();
+  const renderSpriteFilter = () => {
+    if (!dom.spriteSpecies) return;
+    const { counts, total, shown } = getSpriteFilterCounts();
+    const { species, forms, tags } = state.spriteFilter;
+    const active = species.length + forms.length + tags.length > 0;
+    dom.spriteFilterSummary.textContent = !state.visibility.sprites
+      ? "Pokémon markers are hidden (Layer Toggles)."
+      : active
+        ? `Showing ${shown.length} of ${total} Pokémon marker(s).`
+        : `${total} Pokémon marker(s); pick a species, form or tag to narrow them.`;
+    dom.spriteFilterClear.disabled = !active;
+    // Every sticker species is listed, so one can be picked before it is
+    // placed; placed and selected ones also cover names outside the list
+    const speciesNames = [
+      ...new Set([
+        ...state.stickerSpecies,
+        ...counts.species.keys(),
+        ...species,
+      ]),
+    ].sort((a, b) => a.localeCompare(b));
+    dom.spriteSpecies.innerHTML = "";
+    speciesNames.forEach((name) =>
+      dom.spriteSpecies.appendChild(
+        buildFilterPill(
+          "species",
+          name,
+          formatStickerLabel(name),
+          counts.species.get(name) || 0
+        )
+      )
+    );
+    dom.spriteForms.innerHTML = "";
+    ["base", ...SPRITE_FORMS].forEach((form) =>
+      dom.spriteForms.appendChild(
+        buildFilterPill(
+          "forms",
+          form,
+          form === "base" ? "Regular" : formatStickerLabel(form),
+          counts.forms.get(form) || 0
+        )
+      )
+    );
+    const tagNames = [...new Set([...counts.tags.keys(), ...tags])].sort();
+    dom.spriteTags.innerHTML = "";
+    dom.spriteTags
+      .closest(".field-row")
+      ?.classList.toggle("hidden", !tagNames.length);
+    tagNames.forEach((tag) =>
+      dom.spriteTags.appendChild(
+        buildFilterPill("tags", tag, `#${tag}`, counts.tags.get(tag) || 0)
+      )
+    );
+  };
 
-    const all = [...state.data.presetMarkers, ...state.data.userMarkers];
-    all.forEach((m) => placeMarker(m));
+  const toggleSpriteFilter = (key, value) => {
+    const list = state.spriteFilter[key];
+    state.spriteFilter[key] = list.includes(value)
+      ? list.filter((item) => item !== value)
+      : [...list, value];
     refreshLayerVisibility();
-    updateIconScales();
-    updateShinyRings();
-    renderZones();
+    renderSpriteFilter();
+    persist();
   };
 
-  const placeMarker = (markerData) => {
-    if (markerData.type === "shiny") return; // shiny radius handled separately
-    const group = state.layers[markerData.source]?.[markerData.type];
-    if (!group) return;
-    const isLockedPreset =
-      markerData.locked || markerData.source === "preset";
-    const marker = createLeafletMarker(markerData);
-    marker.__id = markerData.id;
-    marker.on("click", (e) => {
-      // Keep the map from immediately closing the popup
-      if (e?.originalEvent) {
-        e.originalEvent.stopPropagation();
-        e.originalEvent.preventDefault();
-      }
-      if (isLockedPreset) return;
-      if (state.deleteMode) {
-        deleteMarker(markerData.id);
-        return;
-      }
-      selectMarker(markerData.id);
-      const neutral =
-        !state.addMode &&
-        !state.editMode &&
-        !state.deleteMode &&
-        !state.measureMode &&
-        !state.zoneDrawing.active;
-      if (neutral) {
-        setTimeout(() => marker.openPopup(), 0);
-      } else {
-        marker.closePopup();
-      }
-    });
-    marker.on("dragend", () => {
-      if (markerData.locked) {
-        marker.setLatLng([markerData.lat, markerData.lng]);
-        return;
-      }
-      const snapped = applySnap(marker.getLatLng());
-      marker.setLatLng(snapped);
-      updateMarkerPosition(markerData.id, snapped);
-    });
-    if (!isLockedPreset) {
-      marker.bindPopup(() => buildPopupContent(markerData));
-    }
-    group.addLayer(marker);
-    const record = { marker, data: markerData, view: marker };
-    state.markersIndex.set(markerData.id, record);
-    setDraggability(record.marker, state.editMode);
+  const clearSpriteFilter = () => {
+    state.spriteFilter = { species: [], forms: [], tags: [] };
+    refreshLayerVisibility();
+    renderSpriteFilter();
+    persist();
   };
 
-  const createLeafletMarker = (markerData) => {
+  /* Clustering (per source + type group, below a zoom threshold) */
+  const updateClusters = () => {
+    if (!state.map || !state.layers) return;
+    if (!state.clusterLayer) {
+      state.clusterLayer = L.layerGroup().addTo(state.map);
+    }
+    state.clusterLayer.clearLayers();
+    const zoom = state.map.getZoom();
+    const active =
+      state.clustering &&
+      state.fitZoom !== null &&
+      zoom < state.fitZoom + CLUSTER_ZOOM_OFFSET;
+    const buckets = new Map();
+    state.markersIndex.forEach((record) => {
+      const { data } = record;
+      record.clustered = false;
+      if (!active || data.id === state.selection) return;
+      if (state.bulk.ids.has(data.id) || record.filtered) return;
+      if (!state.map.hasLayer(state.layers[data.source][data.type])) return;
+      const pt = state.map.project([data.lat, data.lng], zoom);
+      const key = [
+        data.source,
+        data.type,
+        Math.floor(pt.x / CLUSTER_CELL_PX),
+        Math.floor(pt.y / CLUSTER_CELL_PX),
+      ].join(":");
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(record);
+    });
+    buckets.forEach((records) => {
+      if (records.length < 2) return;
+      records.forEach((record) => {
+        record.clustered = true;
+      });
+      state.clusterLayer.addLayer(createClusterBadge(records));
+    });
+    state.markersIndex.forEach((record) => {
+      const el = record.marker?.getElement();
+      if (el) el.style.display = record.clustered ? "none" : "";
+    });
+    state.presetCanvas?.redraw();
+  };
+
+  const createClusterBadge = (records) => {
+    const { source, type } = records[0].data;
+    const bounds = L.latLngBounds(
+      records.map(({ data }) => [data.lat, data.lng])
+    );
+    const size = 24 + String(records.length).length * 6;
+    const badge = L.marker(bounds.getCenter(), {
+      icon: L.divIcon({
+        className: `cluster-badge${source === "user" ? " user" : ""}`,
+        html: `<span style="background:${CLUSTER_COLORS[type]}">${
+          records.length
+        }</span>`,
+        iconSize: [size, size],
+      }),
+      title: `${records.length} ${type} markers`,
+      bubblingMouseEvents: false,
+      zIndexOffset: 500,
+    });
+    badge.on("click", () => {
+      const target = Math.max(
+        state.fitZoom + CLUSTER_ZOOM_OFFSET,
+        state.map.getZoom() + 1
+      );
+      state.map.flyToBounds(bounds.pad(0.5), { maxZoom: target });
+    });
+    return badge;
+  };
+
+  const setClustering = (on) => {
+    state.clustering = on;
+    dom.layerClusters?.classList.toggle("active", on);
+    dom.layerClusters?.classList.toggle("toggle-off", !on);
+    updateClusters();
+    persist();
+  };
+
+  /* Spatial index (quadtree in map units) */
+  // getExtent returns the box every root must cover ({x0, y0, x1, y1} or
+  // null), so points inside it never force a rebuild
+  const createQuadtree = (getExtent = () => null) => {
+    const items = new Map(); // id -> {id, x, y, data}
+    let root = null;
+
+    const makeNode = (x0, y0, x1, y1, depth) => ({
+      x0,
+      y0,
+      x1,
+      y1,
+      depth,
+      items: [],
+      children: null,
+    });
+
+    const contains = (node, p) =>
+      p.x >= node.x0 && p.x <= node.x1 && p.y >= node.y0 && p.y <= node.y1;
+
+    const childFor = (node, p) => {
+      const right = p.x > (node.x0 + node.x1) / 2 ? 1 : 0;
+      const below = p.y > (node.y0 + node.y1) / 2 ? 2 : 0;
+      return node.children[right + below];
+    };
+
+    // Distance from a point to the nearest edge of a node's box (0 inside)
+    const boxDistance = (node, x, y) =>
+      Math.hypot(
+        Math.max(node.x0 - x, 0, x - node.x1),
+        Math.max(node.y0 - y, 0, y - node.y1)
+      );
+
+    const insertInto = (start, item) => {
+      let node = start;
+      while (node.children) node = childFor(node, item);
+      node.items.push(item);
+      if (
+        node.items.length > QUADTREE_NODE_CAPACITY &&
+        node.depth < QUADTREE_MAX_DEPTH
+      ) {
+        const { x0, y0, x1, y1, depth } = node;
+        const mx = (x0 + x1) / 2;
+        const my = (y0 + y1) / 2;
+        node.children = [
+          makeNode(x0, y0, mx, my, depth + 1),
+          makeNode(mx, y0, x1, my, depth + 1),
+          makeNode(x0, my, mx, y1, depth + 1),
+          makeNode(mx, my, x1, y1, depth + 1),
+        ];
+        const moved = node.items;
+        node.items = [];
+        moved.forEach((child) => insertInto(node, child));
+      }
+    };
+
+    // Grows the root square to fit the extent and every item, then
+    // reinserts them all
+    const rebuild = () => {
+      const all = [...items.values()];
+      const extent = getExtent();
+      const corners = extent
+        ? [
+            { x: extent.x0, y: extent.y0 },
+            { x: extent.x1, y: extent.y1 },
+          ]
+        : [];
+      const xs = [...all, ...corners].map((item) => item.x);
+      const ys = [...all, ...corners].map((item) => item.y);
+      const minX = Math.min(...xs);
+      const minY = Math.min(...ys);
+      const size =
+        Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1) * 1.5;
+      const cx = (minX + Math.max(...xs)) / 2;
+      const cy = (minY + Math.max(...ys)) / 2;
+      root = makeNode(
+        cx - size / 2,
+        cy - size / 2,
+        cx + size / 2,
+        cy + size / 2,
+        0
+      );
+      all.forEach((item) => insertInto(root, item));
+    };
+
+    const remove = (id) => {
+      const item = items.get(id);
+      if (!item) return;
+      items.delete(id);
+      let node = root;
+      while (node.children) node = childFor(node, item);
+      const idx = node.items.indexOf(item);
+      if (idx >= 0) node.items.splice(idx, 1);
+    };
+
+    const insert = (id, x, y, data) => {
+      remove(id);
+      const item = { id, x, y, data };
+      items.set(id, item);
+      if (!root || !contains(root, item)) rebuild();
+      else insertInto(root, item);
+    };
+
+    const clear = () => {
+      items.clear();
+      root = null;
+    };
+
+    // Closest n items (optionally filtered) within maxDist, nearest first
+    const nearest = (x, y, n = 1, filter = null, maxDist = Infinity) => {
+      const found = [];
+      const worst = () =>
+        found.length < n ? maxDist : found[found.length - 1].dist;
+      const visit = (node) => {
+        if (boxDistance(node, x, y) > worst()) return;
+        if (node.children) {
+          node.children
+            .map((child) => [boxDistance(child, x, y), child])
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([, child]) => visit(child));
+          return;
+        }
+        node.items.forEach((item) => {
+          const dist = Math.hypot(item.x - x, item.y - y);
+          if (dist > worst() || (filter && !filter(item.data))) return;
+          const at = found.findIndex((entry) => entry.dist > dist);
+          found.splice(at < 0 ? found.length : at, 0, {
+            data: item.data,
+            dist,
+          });
+          if (found.length > n) found.pop();
+        });
+      };
+      if (root) visit(root);
+      return found;
+    };
+
+    const withinRadius = (x, y, radius, filter = null) => {
+      const found = [];
+      const visit = (node) => {
+        if (boxDistance(node, x, y) > radius) return;
+        if (node.children) {
+          node.children.forEach(visit);
+          return;
+        }
+        node.items.forEach((item) => {
+          const dist = Math.hypot(item.x - x, item.y - y);
+          if (dist <= radius && (!filter || filter(item.data))) {
+            found.push({ data: item.data, dist });
+          }
+        });
+      };
+      if (root) visit(root);
+      return found.sort((a, b) => a.dist - b.dist);
+    };
+
+    const withinPolygon = (polygon, filter = null) => {
+      if (!root || polygon.length < 3) return [];
+      const xs = polygon.map((p) => p.x);
+      const ys = polygon.map((p) => p.y);
+      const box = {
+        x0: Math.min(...xs),
+        y0: Math.min(...ys),
+        x1: Math.max(...xs),
+        y1: Math.max(...ys),
+      };
+      const inside = (p) => {
+        let hit = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+          const a = polygon[i];
+          const b = polygon[j];
+          if (
+            a.y > p.y !== b.y > p.y &&
+            p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+          ) {
+            hit = !hit;
+          }
+        }
+        return hit;
+      };
+      const found = [];
+      const visit = (node) => {
+        if (
+          node.x1 < box.x0 ||
+          node.x0 > box.x1 ||
+          node.y1 < box.y0 ||
+          node.y0 > box.y1
+        ) {
+          return;
+        }
+        if (node.children) {
+          node.children.forEach(visit);
+          return;
+        }
+        node.items.forEach((item) => {
+          if (inside(item) && (!filter || filter(item.data))) {
+            found.push(item.data);
+          }
+        });
+      };
+      visit(root);
+      return found;
+    };
+
+    return { insert, remove, clear, nearest, withinRadius, withinPolygon };
+  };
+
+  const toIndexPoint = (latlng) => ({
+    x: latlng.lng / state.pixelsPerUnit,
+    y: latlng.lat / state.pixelsPerUnit,
+  });
+
+  const indexMarker = (data) => {
+    const { x, y } = toIndexPoint(data);
+    state.spatialIndex?.insert(data.id, x, y, data);
+  };
+
+  // Query helpers take lat/lng points and return distances in units
+  const nearestMarkers = (
+    latlng,
+    n = 1,
+    filter = null,
+    maxUnits = Infinity
+  ) => {
+    if (!state.spatialIndex) return [];
+    const { x, y } = toIndexPoint(latlng);
+    return state.spatialIndex
+      .nearest(x, y, n, filter, maxUnits)
+      .map(({ data, dist }) => ({ data, units: dist }));
+  };
+
+  const markersWithin = (latlng, radiusUnits, filter = null) => {
+    if (!state.spatialIndex) return [];
+    const { x, y } = toIndexPoint(latlng);
+    return state.spatialIndex
+      .withinRadius(x, y, radiusUnits, filter)
+      .map(({ data, dist }) => ({ data, units: dist }));
+  };
+
+  const markersInPolygon = (points, filter = null) =>
+    state.spatialIndex
+      ? state.spatialIndex.withinPolygon(points.map(toIndexPoint), filter)
+      : [];
+
+  // Right-click popup with the closest bench, ladder and elevator
+  const showNearHere = (e) => {
+    if (state.mapPick || !state.map) return;
+    const container = document.createElement("div");
+    container.className = "near-here";
+    const title = document.createElement("div");
+    title.innerHTML = "<strong>Near here</strong>";
+    container.appendChild(title);
+    NEAR_HERE_TYPES.forEach((type) => {
+      const [hit] = nearestMarkers(e.latlng, 1, (data) => data.type === type);
+      if (!hit) {
+        const empty = document.createElement("div");
+        empty.className = "hint";
+        empty.textContent = `No ${type} markers`;
+        container.appendChild(empty);
+        return;
+      }
+      container.appendChild(
+        buildResultItem(hit.data, `${type} · ${hit.units.toFixed(2)}u`)
+      );
+    });
+    L.popup().setLatLng(e.latlng).setContent(container).openOn(state.map);
+  };
+
+  /* Marker data loading */
+  /* Versioned storage */
+  // Saves without a version field are v1; each migration upgrades by one step
+  const STORAGE_MIGRATIONS = [
+    {
+      to: 2,
+      // v1 kept a single shinyCenter; v2 stores a list of named anchors
+      migrate: ({ shinyCenter, ...payload }) =>
+        !Array.isArray(payload.shinyAnchors) && shinyCenter
+          ? { ...payload, shinyAnchors: [{ center: shinyCenter }] }
+          : payload,
+    },
+    {
+      to: 3,
+      // v3 moves per-hunt data into named workspaces; presets stay shared
+      migrate: (payload) => {
+        const workspace = { id: "ws-default", name: "Default" };
+        const shared = {};
+        Object.entries(payload).forEach(([key, value]) => {
+          if (WORKSPACE_FIELDS.includes(key)) workspace[key] = value;
+          else shared[key] = value;
+        });
+        return {
+          ...shared,
+          activeWorkspace: workspace.id,
+          workspaces: [workspace],
+        };
+      },
+    },
+  ];
+  const STORAGE_VERSION = STORAGE_MIGRATIONS.length + 1;
+  // Saved per workspace; everything else in the payload is shared
+  const WORKSPACE_FIELDS = [
+    "userMarkers",
+    "customMarkers",
+    "zones",
+    "deletedZoneIds",
+    "shinyAnchors",
+    "activeShinyAnchor",
+    "snap",
+    "gridSize",
+    "paths",
+    "route",
+    "huntSessions",
+  ];
+  const WORKSPACE_LIST_FIELDS = [
+    "userMarkers",
+    "customMarkers",
+    "zones",
+    "deletedZoneIds",
+    "shinyAnchors",
+    "paths",
+    "huntSessions",
+  ];
+
+  const findBadList = (object, fields) =>
+    fields.find(
+      (key) => object[key] !== undefined && !Array.isArray(object[key])
+    );
+
+  // Parses and upgrades a stored payload; throws when it cannot be trusted
+  const readStoredState = (raw) => {
+    let payload = JSON.parse(raw);
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      throw new Error("Saved state is not an object");
+    }
+    const version = payload.version ?? 1;
+    if (
+      !Number.isInteger(version) ||
+      version < 1 ||
+      version > STORAGE_VERSION
+    ) {
+      throw new Error(`Unknown saved state version ${version}`);
+    }
+    STORAGE_MIGRATIONS.filter((step) => step.to > version).forEach((step) => {
+      payload = { ...step.migrate(payload), version: step.to };
+    });
+    const bad = findBadList(payload, ["presetMarkers", "workspaces"]);
+    if (bad) throw new Error(`Saved state field "${bad}" is not a list`);
+    (payload.workspaces || []).forEach((workspace, idx) => {
+      if (!workspace || typeof workspace !== "object" || !workspace.id) {
+        throw new Error(`Saved workspace ${idx} is not valid`);
+      }
+      const badField = findBadList(workspace, WORKSPACE_LIST_FIELDS);
+      if (badField) {
+        throw new Error(
+          `Workspace "${workspace.name}" field "${badField}" is not a list`
+        );
+      }
+    });
+    return payload;
+  };
+
+  const loadPersisted = () => {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw) {
+      try {
+        applyPersisted(readStoredState(raw));
+        try {
+          localStorage.setItem(LAST_GOOD_KEY, raw);
+        } catch (err) {
+          console.warn("Could not keep a last-good snapshot", err);
+        }
+      } catch (err) {
+        console.warn("Failed to load persisted state", err);
+        state.persisted = null;
+        quarantineState(raw, err);
+      }
+    }
+    ensureWorkspace();
+    loadHistory();
+  };
+
+  // Shared settings apply directly; the active workspace's fields are
+  // flattened into state.persisted so loadMarkers can read them. Everything
+  // is read first, so a save that throws halfway leaves state untouched.
+  const applyPersisted = (parsed) => {
+    const workspaces = (parsed.workspaces || []).map(
+      ({ id, name, ...data }) => ({ id, name: name || "Workspace", data })
+    );
+    const active =
+      workspaces.find((ws) => ws.id === parsed.activeWorkspace) ||
+      workspaces[0];
+    const spriteFilter = parsed.spriteFilter
+      ? normalizeSpriteFilter(parsed.spriteFilter)
+      : null;
+    const settings = active ? readWorkspaceSettings(active.data) : null;
+    const sessions = active ? readWorkspaceSessions(active.data) : null;
+
+    state.workspaces.list = workspaces;
+    state.workspaces.activeId = active?.id || null;
+    state.persisted = { ...parsed, ...(active?.data || {}) };
+    if (parsed.clustering !== undefined) {
+      state.clustering = Boolean(parsed.clustering);
+      dom.layerClusters?.classList.toggle("active", state.clustering);
+      dom.layerClusters?.classList.toggle("toggle-off", !state.clustering);
+    }
+    if (parsed.canvasPresets !== undefined) {
+      state.canvasPresets = Boolean(parsed.canvasPresets);
+      dom.layerCanvas?.classList.toggle("active", state.canvasPresets);
+      dom.layerCanvas?.classList.toggle("toggle-off", !state.canvasPresets);
+    }
+    if (spriteFilter) {
+      state.spriteFilter = spriteFilter;
+      state.visibility.sprites = parsed.spriteFilter.show !== false;
+      dom.layerSprites?.classList.toggle("active", state.visibility.sprites);
+      dom.layerSprites?.classList.toggle(
+        "toggle-off",
+        !state.visibility.sprites
+      );
+    }
+    if (settings) commitWorkspaceSettings(settings);
+    if (sessions) commitWorkspaceSessions(sessions);
+  };
+
+  // Copies an unreadable save aside and holds autosave until the user decides
+  const quarantineState = (raw, err) => {
+    try {
+      localStorage.setItem(
+        QUARANTINE_KEY,
+        JSON.stringify({
+          at: new Date().toISOString(),
+          error: err.message,
+          raw,
+        })
+      );
+    } catch (quotaErr) {
+      console.warn("Could not quarantine saved state", quotaErr);
+    }
+    state.storageRecovery = { raw, error: err.message };
+    dom.recoveryError.textContent = err.message;
+    dom.recoveryRestore.disabled = !localStorage.getItem(LAST_GOOD_KEY);
+    dom.recoveryModal.removeAttribute("hidden");
+  };
+
+  const restoreLastGood = () => {
+    const lastGood = localStorage.getItem(LAST_GOOD_KEY);
+    if (!lastGood) return;
+    localStorage.setItem(STORAGE_KEY, lastGood);
+    window.location.reload();
+  };
+
+  const downloadRawState = () => {
+    const raw = state.storageRecovery?.raw;
+    if (raw === undefined) return;
+    const blob = new Blob([raw], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "lumiose-map-state-corrupt.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  // The quarantined copy stays under QUARANTINE_KEY
+  const startFresh = () => {
+    localStorage.removeItem(STORAGE_KEY);
+    window.location.reload();
+  };
+
+  const loadHistory = () => {
+    try {
+      const raw = localStorage.getItem(HISTORY_KEY);
+      if (!raw) return;
+      const parsed = JSON.parse(raw);
+      state.history.undo = Array.isArray(parsed.undo) ? parsed.undo : [];
+      state.history.redo = Array.isArray(parsed.redo) ? parsed.redo : [];
+    } catch (err) {
+      console.warn("Failed to load edit history", err);
+    }
+    updateHistoryUI();
+  };
+
+  const loadMarkers = async () => {
+    let fetched = [];
+    try {
+      const res = await fetch("markers.json");
+      fetched = await res.json();
+    } catch (err) {
+      console.warn("Failed to fetch markers.json", err);
+    }
+
+    let markersFromFile = [];
+    let zonesFromFile = [];
+    if (Array.isArray(fetched)) {
+      markersFromFile = fetched;
+    } else if (fetched && typeof fetched === "object") {
+      markersFromFile = fetched.markers || [];
+      zonesFromFile = fetched.zones || [];
+    }
+
+    const checked = validateDataFile(
+      Array.isArray(markersFromFile) ? markersFromFile : [],
+      Array.isArray(zonesFromFile) ? zonesFromFile : []
+    );
+    if (checked.problems.length) {
+      showValidationReport("markers.json", checked.problems);
+    }
+    markersFromFile = checked.markers;
+    zonesFromFile = checked.zones;
+
+    const filterNonShiny = (arr) =>
+      Array.isArray(arr) ? arr.filter((m) => m?.type !== "shiny") : [];
+
+    const normalizedPresets = filterNonShiny(markersFromFile).map((m) =>
+      normalizeMarker(m, "preset")
+    );
+    state.data.originalPresets = normalizedPresets.map((m) => ({ ...m }));
+
+    const savedPresets = filterNonShiny(state.persisted?.presetMarkers || []);
+
+    const savedById = new Map(savedPresets.map((m) => [m.id, m]));
+    const mergedPresets = normalizedPresets.map((marker) => {
+      const saved = savedById.get(marker.id);
+      return saved ? normalizeMarker(saved, "preset") : marker;
+    });
+    // Include any saved presets that are missing from file
+    savedPresets.forEach((m) => {
+      if (!mergedPresets.find((p) => p.id === m.id)) {
+        mergedPresets.push(normalizeMarker(m, "preset"));
+      }
+    });
+
+    state.data.presetMarkers = mergedPresets;
+    state.data.originalZones = zonesFromFile.map((z) => normalizeZone(z));
+    applyWorkspaceMarkers(state.persisted || {});
+
+    renderAllMarkers();
+    renderZones();
+  };
+
+  /* Workspaces (per-hunt user data; presets are shared) */
+  const getActiveWorkspace = () =>
+    state.workspaces.list.find((ws) => ws.id === state.workspaces.activeId) ||
+    null;
+
+  const ensureWorkspace = () => {
+    if (!state.workspaces.list.length) {
+      state.workspaces.list.push({ id: uuid("ws"), name: "Default", data: {} });
+    }
+    if (!getActiveWorkspace()) {
+      state.workspaces.activeId = state.workspaces.list[0].id;
+    }
+    renderWorkspaceSwitcher();
+  };
+
+  // Live state of the active workspace, in its stored shape
+  const captureWorkspace = () => ({
+    userMarkers: state.data.userMarkers,
+    customMarkers: state.data.customMarkers,
+    zones: state.data.zones,
+    deletedZoneIds: state.data.originalZones
+      .map((z) => z.id)
+      .filter((id) => !state.data.zones.some((z) => z.id === id)),
+    shinyAnchors: exportAnchors(),
+    activeShinyAnchor: state.shiny.activeId,
+    snap: state.snap,
+    gridSize: state.gridSize,
+    paths: exportPaths(),
+    route: state.data.route,
+    huntSessions: state.sessions.list,
+  });
+
+  // Normalizes without touching state, so a bad save can fail before any
+  // of it is applied
+  const readWorkspaceSettings = (data) => {
+    const anchors = Array.isArray(data.shinyAnchors) ? data.shinyAnchors : [];
+    return {
+      gridSize: data.gridSize,
+      snap: data.snap,
+      paths: Array.isArray(data.paths) ? data.paths.map(normalizePath) : [],
+      route: normalizeRoute(data.route),
+      anchors: anchors.map(normalizeAnchor),
+      activeAnchorId: data.activeShinyAnchor || null,
+    };
+  };
+
+  const commitWorkspaceSettings = (settings) => {
+    if (settings.gridSize) {
+      state.gridSize = settings.gridSize;
+      dom.gridSize.value = String(settings.gridSize);
+    }
+    if (settings.snap !== undefined) {
+      state.snap = settings.snap;
+      dom.snapToggle.checked = settings.snap;
+    }
+    state.data.paths = settings.paths;
+    state.data.route = settings.route;
+    state.shiny.anchors = settings.anchors;
+    state.shiny.activeId = settings.activeAnchorId;
+    state.shiny.seeded = settings.anchors.length > 0;
+  };
+
+  const applyWorkspaceSettings = (data) =>
+    commitWorkspaceSettings(readWorkspaceSettings(data));
+
+  // Needs originalZones: saved zones replace their markers.json originals
+  // and deleted ones stay gone
+  const applyWorkspaceMarkers = (data) => {
+    const savedUsers = (data.userMarkers || []).filter(
+      (m) => m?.type !== "shiny"
+    );
+    const savedCustom =
+      data.customMarkers?.map((m) => normalizeMarker(m, "user")) || [];
+    state.data.userMarkers = savedUsers.map((m) => normalizeMarker(m, "user"));
+    state.data.customMarkers =
+      savedCustom.length > 0
+        ? savedCustom
+        : state.data.userMarkers.filter(
+            (m) =>
+              m.source === "user" &&
+              (m.type === "circle" || m.type === "sprite")
+          );
+    const savedZones = data.zones || [];
+    const deletedZoneIds = new Set(data.deletedZoneIds || []);
+    const savedZoneIds = new Set(savedZones.map((z) => z.id));
+    state.data.zones = state.data.originalZones
+      .filter((z) => !savedZoneIds.has(z.id) && !deletedZoneIds.has(z.id))
+      .concat(savedZones.map((z) => normalizeZone(z)));
+  };
+
+  // Undo history belongs to the workspace it was made in, so it starts over
+  const loadWorkspace = (data) => {
+    cancelMapPick();
+    clearSelection();
+    state.benchFinder.targetId = null;
+    applyWorkspaceSettings(data);
+    applyWorkspaceMarkers(data);
+    applyWorkspaceSessions(data);
+    state.history = { undo: [], redo: [] };
+    state.bulk.ids.clear();
+    renderAllMarkers();
+    renderBulkSelection();
+    ensureShinyRadius();
+    syncShinyRingButtons();
+    renderPaths();
+    updateHistoryUI();
+    renderWorkspaceSwitcher();
+    persist();
+  };
+
+  const canChangeWorkspace = () => {
+    if (!state.share.preview) return true;
+    alert("Exit the shared preview before changing workspaces.");
+    renderWorkspaceSwitcher();
+    return false;
+  };
+
+  const switchWorkspace = (id) => {
+    const target = state.workspaces.list.find((ws) => ws.id === id);
+    if (!target || id === state.workspaces.activeId) return;
+    if (!canChangeWorkspace()) return;
+    const current = getActiveWorkspace();
+    if (current) current.data = cloneData(captureWorkspace());
+    state.workspaces.activeId = id;
+    loadWorkspace(target.data);
+  };
+
+  const askWorkspaceName = (message, fallback) => {
+    const name = prompt(message, fallback);
+    return name === null ? null : name.trim() || fallback;
+  };
+
+  const createWorkspace = () => {
+    if (!canChangeWorkspace()) return;
+    const name = askWorkspaceName(
+      "Name the new workspace:",
+      `Workspace ${state.workspaces.list.length + 1}`
+    );
+    if (name === null) return;
+    const workspace = {
+      id: uuid("ws"),
+      name,
+      data: { snap: state.snap, gridSize: state.gridSize },
+    };
+    state.workspaces.list.push(workspace);
+    switchWorkspace(workspace.id);
+  };
+
+  const duplicateWorkspace = () => {
+    if (!canChangeWorkspace()) return;
+    const current = getActiveWorkspace();
+    const name = askWorkspaceName(
+      "Name the copy:",
+      `${current?.name || "Workspace"} copy`
+    );
+    if (name === null) return;
+    const workspace = {
+      id: uuid("ws"),
+      name,
+      data: cloneData(captureWorkspace()),
+    };
+    state.workspaces.list.push(workspace);
+    switchWorkspace(workspace.id);
+  };
+
+  const renameWorkspace = () => {
+    const current = getActiveWorkspace();
+    if (!current) return;
+    const name = askWorkspaceName("Rename workspace:", current.name);
+    if (name === null) return;
+    current.name = name;
+    renderWorkspaceSwitcher();
+    persist();
+  };
+
+  const deleteWorkspace = () => {
+    const current = getActiveWorkspace();
+    if (!current || !canChangeWorkspace()) return;
+    if (state.workspaces.list.length < 2) {
+      alert("This is the only workspace. Create another one first.");
+      return;
+    }
+    const ok = confirm(
+      `Delete workspace "${current.name}" and all of its markers, zones and anchors?`
+    );
+    if (!ok) return;
+    takeSnapshot("Before deleting workspace");
+    state.workspaces.list = state.workspaces.list.filter(
+      (ws) => ws.id !== current.id
+    );
+    const next = state.workspaces.list[0];
+    state.workspaces.activeId = next.id;
+    loadWorkspace(next.data);
+  };
+
+  // Same shape as the custom marker export, so it imports back anywhere
+  const exportWorkspace = () => {
+    const current = getActiveWorkspace();
+    const data = {
+      ...buildUserExport(),
+      workspace: {
+        name: current?.name || "Workspace",
+        snap: state.snap,
+        gridSize: state.gridSize,
+      },
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    const slug = (current?.name || "workspace")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+    link.download = `workspace-${slug || "export"}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const renderWorkspaceSwitcher = () => {
+    if (!dom.workspaceSelect) return;
+    dom.workspaceSelect.innerHTML = "";
+    state.workspaces.list.forEach((ws) => {
+      const option = document.createElement("option");
+      option.value = ws.id;
+      option.textContent = ws.name;
+      dom.workspaceSelect.appendChild(option);
+    });
+    dom.workspaceSelect.value = state.workspaces.activeId || "";
+    if (dom.workspaceDelete) {
+      dom.workspaceDelete.disabled = state.workspaces.list.length < 2;
+    }
+  };
+
+  const normalizeMarker = (marker, source) => {
+    const base = { ...marker };
+    base.id = base.id || uuid(source === "preset" ? "pre" : "usr");
+    base.type = base.type || "bench";
+    base.sprite = base.sprite || "";
+    base.label =
+      base.label ||
+      (base.type === "sprite"
+        ? formatStickerLabel(base.sprite)
+        : `${base.type} marker`);
+    base.lat = toUnits(base.lat);
+    base.lng = toUnits(base.lng);
+    base.source = source;
+    base.locked = Boolean(base.locked);
+    if (base.type === "circle" && !base.color) base.color = "#4fc3f7";
+    if (base.type !== "sprite") delete base.sprite;
+    base.notes = typeof base.notes === "string" ? base.notes.trim() : "";
+    if (!base.notes) delete base.notes;
+    base.tags = normalizeTags(base.tags);
+    if (!base.tags.length) delete base.tags;
+    base.hunt = base.type === "sprite" ? normalizeHunt(base.hunt) : null;
+    if (!base.hunt) delete base.hunt;
+    // Presets come from markers.json as-is; user markers carry timestamps
+    if (source === "user") {
+      base.createdAt = base.createdAt || new Date().toISOString();
+      base.updatedAt = base.updatedAt || base.createdAt;
+    }
+    return base;
+  };
+
+  // Hunt state lives on sprite markers: {status, encounters, startedAt,
+  // endedAt, shinyFound}. endedAt is only kept once a hunt is over.
+  const normalizeHunt = (hunt) => {
+    if (!hunt || typeof hunt !== "object") return null;
+    const status = HUNT_STATUSES.includes(hunt.status)
+      ? hunt.status
+      : "hunting";
+    const now = new Date().toISOString();
+    // Unparseable dates would show as "Invalid Date" and "NaN days"
+    const dateOr = (value, fallback) =>
+      value && !Number.isNaN(Date.parse(value)) ? value : fallback;
+    return {
+      status,
+      encounters: Math.max(0, Math.floor(Number(hunt.encounters) || 0)),
+      startedAt: dateOr(hunt.startedAt, now),
+      endedAt: status === "hunting" ? null : dateOr(hunt.endedAt, now),
+      shinyFound: status === "found" || Boolean(hunt.shinyFound),
+    };
+  };
+
+  const normalizeZone = (zone) => {
+    const base = { ...zone };
+    base.id = base.id || uuid("zone");
+    // Same 1-99 range as the zone popup; the number ends up in the badge HTML
+    const number = parseInt(base.number, 10);
+    base.number = number ? Math.min(Math.max(number, 1), 99) : 1;
+    base.label = base.label || base.name || `Zone ${base.number}`;
+    base.points = Array.isArray(base.points)
+      ? base.points.map((p) => ({ lat: toUnits(p.lat), lng: toUnits(p.lng) }))
+      : [];
+    return base;
+  };
+
+  /* Schema validation (markers.json and imported files) */
+  const MARKER_TYPES = ["bench", "ladder", "elevator", "circle", "sprite"];
+
+  const isNumeric = (value) =>
+    (typeof value === "number" ||
+      (typeof value === "string" && value.trim() !== "")) &&
+    Number.isFinite(Number(value));
+
+  const formatProblem = ({ section, index, field, message }) =>
+    `${section}[${index}]${field ? `.${field}` : ""}: ${message}`;
+
+  // Checks lat/lng are numbers inside state.bounds; prefix names the field
+  const checkPoint = (point, report, prefix = "") => {
+    const bad = ["lat", "lng"].filter((axis) => !isNumeric(point?.[axis]));
+    bad.forEach((axis) =>
+      report(
+        `${prefix}${axis}`,
+        `must be a number (got ${JSON.stringify(point?.[axis])})`
+      )
+    );
+    if (bad.length || !state.bounds) return;
+    const lat = Number(point.lat);
+    const lng = Number(point.lng);
+    const [[minLat, minLng], [maxLat, maxLng]] = state.bounds;
+    if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) {
+      report(
+        prefix ? prefix.replace(/\.$/, "") : "lat/lng",
+        `(${lat}, ${lng}) is outside the map (${minLat}–${maxLat}, ${minLng}–${maxLng})`
+      );
+    }
+  };
+
+  const validateMarkerEntry = (marker, index) => {
+    const problems = [];
+    const report = (field, message) =>
+      problems.push({ section: "markers", index, field, message });
+    if (!marker || typeof marker !== "object" || Array.isArray(marker)) {
+      report("", "must be an object");
+      return problems;
+    }
+    if (marker.type === "shiny") return problems; // legacy, ignored on load
+    const type = marker.type ?? "bench";
+    if (!MARKER_TYPES.includes(type)) report("type", `unknown type "${type}"`);
+    checkPoint(marker, report);
+    if (marker.id !== undefined && typeof marker.id !== "string") {
+      report("id", "must be a string");
+    }
+    if (marker.label !== undefined && typeof marker.label !== "string") {
+      report("label", "must be a string");
+    }
+    if (
+      marker.color !== undefined &&
+      !/^#[0-9a-f]{3,8}$/i.test(String(marker.color))
+    ) {
+      report("color", `"${marker.color}" is not a hex color`);
+    }
+    if (type === "sprite") {
+      if (!marker.sprite) {
+        report("sprite", "is required for sprite markers");
+      } else if (
+        state.stickers.length &&
+        !state.stickers.includes(marker.sprite)
+      ) {
+        report("sprite", `unknown sticker "${marker.sprite}"`);
+      }
+    }
+    if (marker.locked !== undefined && typeof marker.locked !== "boolean") {
+      report("locked", "must be true or false");
+    }
+    if (marker.notes !== undefined && typeof marker.notes !== "string") {
+      report("notes", "must be a string");
+    }
+    if (
+      marker.tags !== undefined &&
+      (!Array.isArray(marker.tags) ||
+        marker.tags.some((tag) => typeof tag !== "string"))
+    ) {
+      report("tags", "must be a list of strings");
+    }
+    if (marker.hunt !== undefined && marker.hunt !== null) {
+      if (typeof marker.hunt !== "object" || Array.isArray(marker.hunt)) {
+        report("hunt", "must be an object");
+      } else {
+        if (
+          marker.hunt.status !== undefined &&
+          !HUNT_STATUSES.includes(marker.hunt.status)
+        ) {
+          report("hunt.status", `unknown status "${marker.hunt.status}"`);
+        }
+        if (
+          marker.hunt.encounters !== undefined &&
+          (!isNumeric(marker.hunt.encounters) || marker.hunt.encounters < 0)
+        ) {
+          report("hunt.encounters", "must be a number of 0 or more");
+        }
+        ["startedAt", "endedAt"].forEach((field) => {
+          const value = marker.hunt[field];
+          // endedAt is null while the hunt is still running
+          if (
+            value !== undefined &&
+            !(field === "endedAt" && value === null) &&
+            Number.isNaN(Date.parse(value))
+          ) {
+            report(`hunt.${field}`, `"${value}" is not a date`);
+          }
+        });
+      }
+    }
+    ["createdAt", "updatedAt"].forEach((field) => {
+      if (
+        marker[field] !== undefined &&
+        Number.isNaN(Date.parse(marker[field]))
+      ) {
+        report(field, `"${marker[field]}" is not a date`);
+      }
+    });
+    return problems;
+  };
+
+  const validateZoneEntry = (zone, index) => {
+    const problems = [];
+    const report = (field, message) =>
+      problems.push({ section: "zones", index, field, message });
+    if (!zone || typeof zone !== "object" || Array.isArray(zone)) {
+      report("", "must be an object");
+      return problems;
+    }
+    if (!Array.isArray(zone.points) || zone.points.length < 3) {
+      report("points", "needs at least 3 points");
+    } else {
+      zone.points.forEach((point, i) =>
+        checkPoint(point, report, `points[${i}].`)
+      );
+    }
+    if (
+      zone.number !== undefined &&
+      !(Number.isInteger(zone.number) && zone.number >= 1 && zone.number <= 99)
+    ) {
+      report("number", "must be a whole number from 1 to 99");
+    }
+    ["id", "label", "name"].forEach((field) => {
+      if (zone[field] !== undefined && typeof zone[field] !== "string") {
+        report(field, "must be a string");
+      }
+    });
+    return problems;
+  };
+
+  // Splits raw marker/zone arrays into valid entries and a problem list
+  const validateDataFile = (markers, zones) => {
+    const problems = [];
+    const keep = (list, check) =>
+      list.filter((entry, index) => {
+        const found = check(entry, index);
+        problems.push(...found);
+        return !found.length;
+      });
+    return {
+      markers: keep(markers, validateMarkerEntry),
+      zones: zones ? keep(zones, validateZoneEntry) : null,
+      problems,
+    };
+  };
+
+  const showValidationReport = (source, problems) => {
+    console.warn(`${source} has ${problems.length} problem(s)`, problems);
+    if (!dom.validationModal) return;
+    dom.validationSummary.textContent = `${source}: ${problems.length} problem(s). Invalid entries were skipped.`;
+    dom.validationList.innerHTML = "";
+    problems.forEach((problem) => {
+      const row = document.createElement("div");
+      row.className = "import-row problem";
+      row.textContent = formatProblem(problem);
+      dom.validationList.appendChild(row);
+    });
+    dom.validationModal.removeAttribute("hidden");
+  };
+
+  const closeValidationModal = () =>
+    dom.validationModal?.setAttribute("hidden", "true");
+
+  /* Marker rendering */
+  const renderAllMarkers = () => {
+    if (!state.layers) return;
+    state.markersIndex.forEach(({ view }) => view && view.remove());
+    state.markersIndex.clear();
+    state.spatialIndex?.clear();
+    Object.values(state.layers).forEach((groups) =>
+      Object.values(groups).forEach((lg) => lg.clearLayers())
+    );
+
+    const all = [...state.data.presetMarkers, ...state.data.userMarkers];
+    all.forEach((m) => placeMarker(m));
+    refreshLayerVisibility();
+    updateIconScales();
+    updateShinyRings();
+    renderZones();
+    scheduleReports();
+  };
+
+  const placeMarker = (markerData) => {
+    if (markerData.type === "shiny") return; // shiny radius handled separately
+    const group = state.layers[markerData.source]?.[markerData.type];
+    if (!group) return;
+    const isLockedPreset =
+      markerData.locked || markerData.source === "preset";
+    if (
+      state.canvasPresets &&
+      markerData.source === "preset" &&
+      markerData.locked
+    ) {
+      // Locked presets never drag or open popups, so the canvas can draw them
+      const record = {
+        marker: null,
+        data: markerData,
+        view: null,
+        canvas: true,
+        filtered: !passesFilters(markerData),
+      };
+      state.markersIndex.set(markerData.id, record);
+      indexMarker(markerData);
+      state.presetCanvas?.redraw();
+      return;
+    }
+    const marker = createLeafletMarker(markerData);
+    marker.__id = markerData.id;
+    marker.on("click", (e) => {
+      // Keep the map from immediately closing the popup
+      if (e?.originalEvent) {
+        e.originalEvent.stopPropagation();
+        e.originalEvent.preventDefault();
+      }
+      if (state.mapPick) {
+        resolveMapPick(L.latLng(markerData.lat, markerData.lng), markerData);
+        return;
+      }
+      if (isLockedPreset) return;
+      if (state.deleteMode) {
+        deleteMarker(markerData.id);
+        return;
+      }
+      if (state.editMode && e?.originalEvent?.shiftKey) {
+        toggleBulkMarker(markerData.id);
+        return;
+      }
+      selectMarker(markerData.id);
+      const neutral =
+        !state.addMode &&
+        !state.editMode &&
+        !state.deleteMode &&
+        !state.measureMode &&
+        !state.zoneDrawing.active &&
+        !state.zoneEdit.active;
+      if (neutral) {
+        setTimeout(() => marker.openPopup(), 0);
+      } else {
+        marker.closePopup();
+      }
+    });
+    marker.on("add", () =>
+      marker
+        .getElement()
+        ?.classList.toggle("bulk-selected", state.bulk.ids.has(markerData.id))
+    );
+    marker.on("add", () => applyHuntLook(marker, markerData));
+    marker.on("dragstart", () => {
+      // A locked marker only springs back, so it never carries the selection
+      if (!markerData.locked) startGroupDrag(markerData.id);
+    });
+    marker.on("drag", () => dragGroup(markerData, marker.getLatLng()));
+    marker.on("dragend", () => {
+      if (markerData.locked) {
+        marker.setLatLng([markerData.lat, markerData.lng]);
+        cancelGroupDrag();
+        return;
+      }
+      const snapped = applySnap(marker.getLatLng());
+      marker.setLatLng(snapped);
+      if (state.bulk.drag) {
+        finishGroupDrag(markerData, marker.getLatLng());
+        return;
+      }
+      updateMarkerPosition(markerData.id, snapped);
+    });
+    if (!isLockedPreset) {
+      marker.bindPopup(() => buildPopupContent(markerData));
+    }
+    const filtered = !passesFilters(markerData);
+    if (!filtered) group.addLayer(marker);
+    const record = { marker, data: markerData, view: marker, filtered };
+    state.markersIndex.set(markerData.id, record);
+    indexMarker(markerData);
+    setDraggability(record.marker, state.editMode);
+  };
+
+  const createLeafletMarker = (markerData) => {
     const latlng = L.latLng(markerData.lat, markerData.lng);
     if (markerData.type === "circle") {
       const icon = L.divIcon({
@@ -742,946 +2577,4192 @@ const App = (() => {
         iconSize: [18, 18],
         html: "",
       });
-      const marker = L.marker(latlng, {
-        icon,
-        draggable: state.editMode,
-        bubblingMouseEvents: false,
+      const marker = L.marker(latlng, {
+        icon,
+        draggable: state.editMode,
+        bubblingMouseEvents: false,
+      });
+      marker.on("add", () => {
+        const el = marker.getElement();
+        if (el) el.style.background = markerData.color || state.currentColor;
+        updateIconScales();
+      });
+      return marker;
+    }
+
+    if (markerData.type === "sprite") {
+      const icon = L.divIcon({
+        className: "map-icon sprite-icon",
+        iconSize: [32, 32],
+        html: "",
+      });
+      const marker = L.marker(latlng, {
+        icon,
+        draggable: state.editMode,
+        bubblingMouseEvents: false,
+      });
+      marker.on("add", () => {
+        const el = marker.getElement();
+        if (el) {
+          el.style.backgroundImage = `url(${getStickerPath(
+            markerData.sprite
+          )})`;
+          el.style.backgroundSize = "contain";
+          el.style.backgroundRepeat = "no-repeat";
+          el.style.backgroundColor = "transparent";
+        }
+        updateIconScales();
+      });
+      return marker;
+    }
+
+    const icon = L.divIcon({
+      className:
+        markerData.type === "shiny" ? "map-icon shiny-center" : "map-icon",
+      iconSize: [28, 28],
+      html: "",
+    });
+    const marker = L.marker(latlng, {
+      icon,
+      draggable: state.editMode,
+      bubblingMouseEvents: false,
+    });
+    marker.on("add", () => {
+      const el = marker.getElement();
+      if (el) {
+        if (markerData.type === "shiny") {
+          el.style.backgroundImage = "";
+        } else {
+          el.style.backgroundImage = `url(${
+            ICONS[markerData.type] || ICONS.bench
+          })`;
+        }
+      }
+      updateIconScales();
+    });
+    return marker;
+  };
+
+  const setDraggability = (marker, enabled) => {
+    if (!marker?.dragging) return;
+    if (enabled) marker.dragging.enable();
+    else marker.dragging.disable();
+  };
+
+  /* Marker CRUD */
+  const addMarkerAt = (latlng) => {
+    if (!state.currentTool) {
+      alert("Select Circle or Pokémon before adding.");
+      return;
+    }
+    const spriteName =
+      state.currentTool === "sprite"
+        ? dom.stickerSelect.value || state.currentSticker || state.stickers[0]
+        : "";
+    if (state.currentTool === "sprite" && !spriteName) {
+      alert("Choose a sticker first.");
+      return;
+    }
+    if (state.currentTool === "sprite" && spriteName) {
+      state.currentSticker = spriteName;
+    }
+    const label =
+      dom.markerLabel.value.trim() ||
+      (state.currentTool === "sprite"
+        ? formatStickerLabel(spriteName)
+        : `${state.currentTool} marker`);
+    const marker = normalizeMarker(
+      {
+        type: state.currentTool,
+        label,
+        lat: latlng.lat,
+        lng: latlng.lng,
+        color: state.currentTool === "circle" ? state.currentColor : undefined,
+        sprite: state.currentTool === "sprite" ? spriteName : undefined,
+      },
+      "user"
+    );
+    insertMarkerData(marker);
+    ensureVisibilityFor(marker);
+    recordChange("Add marker", [markerChange(null, marker)]);
+    persist();
+  };
+
+  const insertMarkerData = (marker) => {
+    const arr =
+      marker.source === "preset"
+        ? state.data.presetMarkers
+        : state.data.userMarkers;
+    arr.push(marker);
+    if (marker.type === "circle" || marker.type === "sprite") {
+      state.data.customMarkers.push(marker);
+    }
+    placeMarker(marker);
+    scheduleReports();
+  };
+
+  // Drops a marker from the map, index and data arrays (no confirm, no history)
+  const removeMarkerRecord = (id) => {
+    const record = state.markersIndex.get(id);
+    if (record?.view) {
+      record.view.remove();
+      state.layers?.[record.data.source]?.[record.data.type]?.removeLayer(
+        record.view
+      );
+    }
+    state.markersIndex.delete(id);
+    state.spatialIndex?.remove(id);
+    if (record?.canvas) state.presetCanvas?.redraw();
+    [
+      state.data.presetMarkers,
+      state.data.userMarkers,
+      state.data.customMarkers,
+    ].forEach((arr) => {
+      const idx = arr.findIndex((m) => m.id === id);
+      if (idx >= 0) arr.splice(idx, 1);
+    });
+    if (state.selection === id) clearSelection();
+    scheduleReports();
+    return record;
+  };
+
+  const ensureVisibilityFor = (marker) => {
+    if (marker.source === "user") {
+      state.visibility.users = true;
+      dom.toggleUsers.classList.add("active");
+      dom.toggleUsers.classList.remove("toggle-off");
+    }
+    const typeMap = {
+      bench: ["layerBenches", "benches"],
+      ladder: ["layerLadders", "ladders"],
+      elevator: ["layerElevators", "elevators"],
+      circle: ["toggleUsers", "users"],
+      sprite: ["layerSprites", "sprites"],
+    };
+    const [control, key] = typeMap[marker.type] || [];
+    if (control && dom[control]) {
+      dom[control].classList.add("active");
+      dom[control].classList.remove("toggle-off");
+    }
+    if (key) state.visibility[key] = true;
+    // A marker the tag filter would hide is just as invisible as a layer off
+    if (!matchesTagFilter(marker)) {
+      state.tagFilter = [];
+      renderTagFilter();
+    }
+    if (!matchesSpriteFilter(marker)) {
+      state.spriteFilter = { species: [], forms: [], tags: [] };
+      persist();
+    }
+    if (marker.type === "sprite") renderSpriteFilter();
+    refreshLayerVisibility();
+  };
+
+  const updateMarkerPosition = (id, latlng) => {
+    const record = state.markersIndex.get(id);
+    if (!record) return;
+    const before = cloneData(record.data);
+    record.data.lat = latlng.lat;
+    record.data.lng = latlng.lng;
+    if (record.data.source === "user") {
+      record.data.updatedAt = new Date().toISOString();
+    }
+    indexMarker(record.data);
+    if (record.rings?.length) {
+      record.rings.forEach((r) => r.setLatLng(latlng));
+    }
+    recordChange("Move marker", [markerChange(before, record.data)]);
+    scheduleReports();
+    persist();
+  };
+
+  const deleteMarker = (id) => {
+    const record = state.markersIndex.get(id);
+    if (!record) return;
+    if (record.data.locked) return;
+    if (record.data.source === "preset") {
+      const ok = confirm(
+        "Delete preset marker? This will remove it from exports."
+      );
+      if (!ok) return;
+    }
+    removeMarkerRecord(id);
+    recordChange("Delete marker", [markerChange(record.data, null)]);
+    persist();
+  };
+
+  const clearSelection = () => {
+    state.selection = null;
+    dom.inspectorLabel.value = "";
+    dom.inspectorColor.value = "#4fc3f7";
+    dom.inspectorType.value = "bench";
+    if (dom.inspectorNotes) dom.inspectorNotes.value = "";
+    if (dom.inspectorTags) dom.inspectorTags.value = "";
+    if (dom.inspectorDates) dom.inspectorDates.textContent = "";
+    dom.inspector?.classList.add("hidden");
+  };
+
+  const applyInspectorEdits = () => {
+    if (!state.editMode) {
+      alert("Enable Edit mode to apply changes.");
+      return;
+    }
+    const record = state.markersIndex.get(state.selection);
+    if (!record || record.data.locked) {
+      alert("This marker is locked and cannot be edited.");
+      return;
+    }
+    if (!state.selection) return;
+    const nextType = dom.inspectorType.value;
+    const nextLabel = dom.inspectorLabel.value.trim() || record.data.label;
+    const nextColor = dom.inspectorColor.value;
+    const nextNotes = dom.inspectorNotes?.value ?? record.data.notes;
+    const nextTags = normalizeTags(
+      dom.inspectorTags?.value ?? record.data.tags
+    );
+    const nextSprite =
+      nextType === "sprite"
+        ? dom.inspectorSticker.value || record.data.sprite
+        : undefined;
+    const latlng = record.marker?.getLatLng?.();
+    if (!latlng) return;
+    const updated = normalizeMarker(
+      {
+        ...record.data,
+        type: nextType,
+        label:
+          nextLabel ||
+          (nextType === "sprite"
+            ? formatStickerLabel(nextSprite)
+            : record.data.label),
+        color: nextType === "circle" ? nextColor : undefined,
+        sprite: nextSprite,
+        notes: nextNotes,
+        tags: nextTags,
+        lat: latlng.lat,
+        lng: latlng.lng,
+      },
+      record.data.source
+    );
+    if (JSON.stringify(updated) === JSON.stringify(record.data)) return;
+    if (updated.source === "user") updated.updatedAt = new Date().toISOString();
+    removeMarkerRecord(record.data.id);
+    insertMarkerData(updated);
+    selectMarker(updated.id);
+    ensureVisibilityFor(updated);
+    recordChange("Edit marker", [markerChange(record.data, updated)]);
+    persist();
+  };
+
+  /* Popup builder */
+  const formatMarkerDates = (data) =>
+    data.createdAt
+      ? `Created ${formatTimestamp(data.createdAt)}${
+          data.updatedAt && data.updatedAt !== data.createdAt
+            ? ` • updated ${formatTimestamp(data.updatedAt)}`
+            : ""
+        }`
+      : "";
+
+  const buildMarkerMeta = (data) => {
+    const tags = (data.tags || [])
+      .map((tag) => `<span class="tag-chip">#${escapeHtml(tag)}</span>`)
+      .join("");
+    const dates = formatMarkerDates(data);
+    return `${tags ? `<div class="tag-row">${tags}</div>` : ""}${
+      data.notes
+        ? `<div class="marker-notes">${escapeHtml(data.notes)}</div>`
+        : ""
+    }${dates ? `<div class="hint">${dates}</div>` : ""}`;
+  };
+
+  const buildPopupContent = (markerData) => {
+    const container = document.createElement("div");
+    container.innerHTML = `
+      <div style="margin-bottom:6px;"><strong>${escapeHtml(
+        markerData.label
+      )}</strong></div>
+      <div class="hint">${markerData.type} • ${markerData.source}</div>
+      ${buildMarkerMeta(markerData)}
+      ${markerData.type === "sprite" ? buildHuntControls(markerData) : ""}
+      <div style="margin-top:8px; display:flex; gap:6px; flex-wrap:wrap;">
+        <button data-action="edit"${
+          markerData.locked ? " disabled" : ""
+        }>Edit</button>
+        <button data-action="delete" class="danger"${
+          markerData.locked ? " disabled" : ""
+        }>Delete</button>
+        ${
+          markerData.type === "circle" || markerData.type === "sprite"
+            ? '<button data-action="bench">Best bench</button>'
+            : ""
+        }
+      </div>
+    `;
+    container.querySelectorAll("button").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const action = e.currentTarget.dataset.action;
+        if (action === "edit") {
+          selectMarker(markerData.id);
+          dom.inspectorLabel.focus();
+        }
+        if (action === "delete") deleteMarker(markerData.id);
+        if (action === "bench") findBestBench(markerData.id);
+        if (action?.startsWith("hunt-"))
+          handleHuntAction(markerData.id, action);
+      });
+    });
+    container
+      .querySelector('[data-hunt="status"]')
+      ?.addEventListener("change", (e) =>
+        updateHunt(markerData.id, { status: e.target.value }, "Change hunt")
+      );
+    return container;
+  };
+
+  const selectMarker = (id) => {
+    if (state.selection === id) return;
+    if (state.selection) {
+      const prev = state.markersIndex
+        .get(state.selection)
+        ?.marker?.getElement();
+      if (prev) prev.classList.remove("selected");
+    }
+    state.selection = id;
+    const record = state.markersIndex.get(id);
+    if (!record) return;
+    const el = record.marker?.getElement();
+    if (el) el.classList.add("selected");
+    if (record.clustered) updateClusters();
+    dom.inspectorLabel.value = record.data.label || "";
+    dom.inspectorType.value = record.data.type;
+    dom.inspectorColor.value = record.data.color || "#4fc3f7";
+    if (record.data.type === "sprite" && record.data.sprite) {
+      dom.inspectorSticker.value = record.data.sprite;
+    }
+    if (dom.inspectorNotes) dom.inspectorNotes.value = record.data.notes || "";
+    if (dom.inspectorTags) {
+      dom.inspectorTags.value = (record.data.tags || []).join(", ");
+    }
+    if (dom.inspectorDates) {
+      dom.inspectorDates.textContent = formatMarkerDates(record.data);
+    }
+    dom.inspector?.classList.remove("hidden");
+    updateInspectorStickerVisibility(record.data.type);
+  };
+
+  /* Multi-select (shift-drag box or lasso in Edit mode) */
+  const getBulkRecords = () =>
+    [...state.bulk.ids].map((id) => state.markersIndex.get(id)).filter(Boolean);
+
+  const setBulkShape = (shape) => {
+    state.bulk.shape = shape;
+    dom.bulkShapeBox?.classList.toggle("active", shape === "box");
+    dom.bulkShapeLasso?.classList.toggle("active", shape === "lasso");
+  };
+
+  const setBulkSelection = (ids) => {
+    state.bulk.ids = new Set(ids);
+    renderBulkSelection();
+  };
+
+  const clearBulkSelection = () => setBulkSelection([]);
+
+  const toggleBulkMarker = (id) => {
+    const ids = new Set(state.bulk.ids);
+    if (ids.has(id)) ids.delete(id);
+    else ids.add(id);
+    setBulkSelection(ids);
+  };
+
+  const renderBulkSelection = () => {
+    // Drop ids that no longer exist (undo, workspace switch, deletes)
+    state.bulk.ids.forEach((id) => {
+      if (!state.markersIndex.has(id)) state.bulk.ids.delete(id);
+    });
+    state.markersIndex.forEach(({ marker, data }) => {
+      marker
+        ?.getElement()
+        ?.classList.toggle("bulk-selected", state.bulk.ids.has(data.id));
+    });
+    updateClusters();
+    state.presetCanvas?.redraw();
+    if (!dom.bulkSummary) return;
+    const records = getBulkRecords();
+    const counts = new Map();
+    records.forEach(({ data }) =>
+      counts.set(data.type, (counts.get(data.type) || 0) + 1)
+    );
+    const locked = records.filter(({ data }) => data.locked).length;
+    dom.bulkSummary.textContent = records.length
+      ? `${records.length} selected (${[...counts.entries()]
+          .map(([type, count]) => `${count} ${type}`)
+          .join(", ")})${locked ? `, ${locked} locked` : ""}`
+      : "Shift-drag on the map in Edit mode to select markers. Shift-click a marker to add or remove it.";
+    [
+      dom.bulkRecolor,
+      dom.bulkSetSticker,
+      dom.bulkRelabel,
+      dom.bulkLock,
+      dom.bulkUnlock,
+      dom.bulkDelete,
+      dom.bulkClear,
+    ].forEach((btn) => {
+      if (btn) btn.disabled = !records.length;
+    });
+  };
+
+  const startBulkSelect = (e) => {
+    if (!state.editMode || !e.originalEvent?.shiftKey) return;
+    if (state.mapPick || state.zoneEdit.active) return;
+    e.originalEvent.preventDefault();
+    state.map.dragging.disable();
+    const lasso = state.bulk.shape === "lasso" || e.originalEvent.altKey;
+    const style = {
+      className: "bulk-select-outline",
+      interactive: false,
+      color: "#facc15",
+      weight: 1.5,
+      dashArray: "4 4",
+      fillOpacity: 0.08,
+    };
+    state.bulk.draft = {
+      lasso,
+      points: [e.latlng],
+      layer: (lasso
+        ? L.polygon([e.latlng], style)
+        : L.rectangle(L.latLngBounds(e.latlng, e.latlng), style)
+      ).addTo(state.map),
+    };
+    state.map.on("mousemove", extendBulkSelect);
+    document.addEventListener("mouseup", finishBulkSelect, { once: true });
+  };
+
+  const extendBulkSelect = (e) => {
+    const draft = state.bulk.draft;
+    if (!draft) return;
+    if (!draft.lasso) {
+      draft.points[1] = e.latlng;
+      draft.layer.setBounds(L.latLngBounds(draft.points[0], e.latlng));
+      return;
+    }
+    const last = state.map.latLngToContainerPoint(draft.points.at(-1));
+    if (last.distanceTo(e.containerPoint) < 4) return;
+    draft.points.push(e.latlng);
+    draft.layer.setLatLngs(draft.points);
+  };
+
+  const finishBulkSelect = () => {
+    const draft = state.bulk.draft;
+    state.bulk.draft = null;
+    state.map.off("mousemove", extendBulkSelect);
+    state.map.dragging.enable();
+    if (!draft) return;
+    draft.layer.remove();
+    let polygon = draft.points;
+    if (!draft.lasso) {
+      if (draft.points.length < 2) return;
+      const bounds = L.latLngBounds(draft.points);
+      polygon = [
+        bounds.getSouthWest(),
+        bounds.getNorthWest(),
+        bounds.getNorthEast(),
+        bounds.getSouthEast(),
+      ];
+    }
+    // Only markers on visible layers can be picked up
+    const hits = markersInPolygon(
+      polygon,
+      (data) =>
+        state.map.hasLayer(state.layers[data.source]?.[data.type]) &&
+        passesFilters(data)
+    );
+    setBulkSelection([...state.bulk.ids, ...hits.map((data) => data.id)]);
+  };
+
+  // Dragging one selected marker carries the rest of the selection along
+  const startGroupDrag = (id) => {
+    if (!state.bulk.ids.has(id) || state.bulk.ids.size < 2) return;
+    state.bulk.drag = new Map(
+      getBulkRecords()
+        .filter(({ data }) => !data.locked)
+        .map(({ data }) => [data.id, L.latLng(data.lat, data.lng)])
+    );
+  };
+
+  const dragGroup = (markerData, latlng) => {
+    if (!state.bulk.drag) return;
+    const dLat = latlng.lat - markerData.lat;
+    const dLng = latlng.lng - markerData.lng;
+    state.bulk.drag.forEach((start, id) => {
+      if (id === markerData.id) return;
+      state.markersIndex
+        .get(id)
+        ?.marker?.setLatLng([start.lat + dLat, start.lng + dLng]);
+    });
+  };
+
+  // Puts the carried markers back where the drag found them
+  const cancelGroupDrag = () => {
+    state.bulk.drag?.forEach((start, id) =>
+      state.markersIndex.get(id)?.marker?.setLatLng(start)
+    );
+    state.bulk.drag = null;
+  };
+
+  const finishGroupDrag = (markerData, latlng) => {
+    const starts = state.bulk.drag;
+    state.bulk.drag = null;
+    moveBulk(latlng.lat - markerData.lat, latlng.lng - markerData.lng, starts);
+  };
+
+  const moveBulk = (dLat, dLng, starts) => {
+    const changes = [];
+    getBulkRecords().forEach((record) => {
+      const { data } = record;
+      if (data.locked) return;
+      const start = starts?.get(data.id) || L.latLng(data.lat, data.lng);
+      const snapped = applySnap(L.latLng(start.lat + dLat, start.lng + dLng));
+      const before = cloneData(data);
+      data.lat = snapped.lat;
+      data.lng = snapped.lng;
+      if (data.source === "user") data.updatedAt = new Date().toISOString();
+      record.marker?.setLatLng(snapped);
+      indexMarker(data);
+      changes.push(markerChange(before, data));
+    });
+    if (getBulkRecords().some(({ canvas }) => canvas)) {
+      state.presetCanvas?.redraw();
+    }
+    recordChange(`Move markers (${changes.length})`, changes);
+    scheduleReports();
+    persist();
+  };
+
+  // Replaces each selected marker with a patched copy as one history entry
+  const updateBulk = (label, patch) => {
+    const changes = [];
+    getBulkRecords().forEach(({ data }, idx) => {
+      const next = patch(data, idx);
+      if (!next) return;
+      const updated = normalizeMarker({ ...data, ...next }, data.source);
+      if (JSON.stringify(updated) === JSON.stringify(data)) return;
+      if (data.source === "user") updated.updatedAt = new Date().toISOString();
+      removeMarkerRecord(data.id);
+      insertMarkerData(updated);
+      changes.push(markerChange(data, updated));
+    });
+    if (!changes.length) return;
+    recordChange(`${label} (${changes.length})`, changes);
+    renderBulkSelection();
+    persist();
+  };
+
+  const recolorBulk = (color) =>
+    updateBulk("Recolor markers", (data) =>
+      data.type === "circle" && !data.locked ? { color } : null
+    );
+
+  const setBulkSticker = (sprite) => {
+    if (!sprite) return;
+    updateBulk("Change sticker", (data) => {
+      if (data.type !== "sprite" || data.locked) return null;
+      // Labels that were just the old Pokémon name follow the new sticker
+      const autoLabel = data.label === formatStickerLabel(data.sprite);
+      return {
+        sprite,
+        label: autoLabel ? formatStickerLabel(sprite) : data.label,
+      };
+    });
+  };
+
+  // Pattern tokens: {n} running number, {label} current label, {type},
+  // {pokemon} sticker name. Numbering runs top to bottom, left to right.
+  const relabelBulk = (pattern) => {
+    if (!pattern.trim()) {
+      alert("Enter a label pattern, e.g. Bench {n}.");
+      return;
+    }
+    const order = getBulkRecords()
+      .map(({ data }) => data)
+      .filter((data) => !data.locked)
+      .sort((a, b) => b.lat - a.lat || a.lng - b.lng)
+      .map((data) => data.id);
+    updateBulk("Relabel markers", (data) => {
+      const n = order.indexOf(data.id) + 1;
+      if (!n) return null;
+      const label = pattern
+        .replace(/\{n\}/g, String(n))
+        .replace(/\{label\}/g, data.label)
+        .replace(/\{type\}/g, data.type)
+        .replace(
+          /\{pokemon\}/g,
+          data.sprite ? formatStickerLabel(data.sprite) : ""
+        )
+        .trim();
+      return label ? { label } : null;
+    });
+  };
+
+  const setBulkLocked = (locked) =>
+    updateBulk(locked ? "Lock markers" : "Unlock markers", () => ({
+      locked,
+    }));
+
+  const deleteBulk = () => {
+    const records = getBulkRecords().filter(({ data }) => !data.locked);
+    if (!records.length) {
+      alert("Every selected marker is locked.");
+      return;
+    }
+    const presets = records.filter(
+      ({ data }) => data.source === "preset"
+    ).length;
+    const ok = confirm(
+      `Delete ${records.length} marker(s)?${
+        presets ? ` ${presets} preset(s) will be removed from exports.` : ""
+      }`
+    );
+    if (!ok) return;
+    records.forEach(({ data }) => removeMarkerRecord(data.id));
+    recordChange(
+      `Delete markers (${records.length})`,
+      records.map(({ data }) => markerChange(data, null))
+    );
+    renderBulkSelection();
+    persist();
+  };
+
+  /* Shiny hunts (optional hunt state on sprite markers) */
+  const formatHuntDays = (hunt) => {
+    const end = hunt.endedAt ? Date.parse(hunt.endedAt) : Date.now();
+    const days = Math.max(
+      0,
+      Math.floor((end - Date.parse(hunt.startedAt)) / 86400000)
+    );
+    return days === 1 ? "1 day" : `${days} days`;
+  };
+
+  const buildHuntControls = (data) => {
+    const { hunt } = data;
+    if (!hunt) {
+      return `<div class="hunt-controls"><button data-action="hunt-start">Start hunt</button></div>`;
+    }
+    const options = HUNT_STATUSES.map(
+      (status) =>
+        `<option value="${status}"${
+          status === hunt.status ? " selected" : ""
+        }>${status}</option>`
+    ).join("");
+    return `
+      <div class="hunt-controls">
+        <div class="hunt-count">
+          <strong>${hunt.encounters.toLocaleString()}</strong> encounters
+          ${hunt.shinyFound ? '<span class="hunt-badge">✦ Shiny</span>' : ""}
+        </div>
+        <div class="hunt-buttons">
+          <button data-action="hunt-add">+1</button>
+          <button data-action="hunt-sub"${
+            hunt.encounters ? "" : " disabled"
+          }>−1</button>
+          <select data-hunt="status">${options}</select>
+          <button data-action="hunt-found">${
+            hunt.shinyFound ? "Not shiny" : "Found shiny"
+          }</button>
+          <button data-action="hunt-remove" class="danger">Remove</button>
+        </div>
+        <div class="hint">
+          Started ${formatTimestamp(hunt.startedAt)}${
+            hunt.endedAt ? ` • ended ${formatTimestamp(hunt.endedAt)}` : ""
+          } • ${formatHuntDays(hunt)}
+        </div>
+      </div>
+    `;
+  };
+
+  // Found hunts glow, abandoned ones fade; see .hunt-* in styles.css
+  const applyHuntLook = (marker, data) => {
+    const el = marker?.getElement();
+    if (!el) return;
+    const status = data.hunt?.status;
+    el.classList.toggle("hunt-active", status === "hunting");
+    el.classList.toggle("hunt-found", Boolean(data.hunt?.shinyFound));
+    el.classList.toggle("hunt-abandoned", status === "abandoned");
+  };
+
+  const handleHuntAction = (id, action) => {
+    const hunt = state.markersIndex.get(id)?.data.hunt;
+    if (action === "hunt-start") {
+      updateHunt(id, { status: "hunting", startedAt: null }, "Start hunt");
+    }
+    if (!hunt) return;
+    if (action === "hunt-add") {
+      updateHunt(id, { encounters: hunt.encounters + 1 }, "Count encounter");
+    }
+    if (action === "hunt-sub") {
+      updateHunt(id, { encounters: hunt.encounters - 1 }, "Count encounter");
+    }
+    if (action === "hunt-found" && !hunt.shinyFound) {
+      updateHunt(id, { status: "found", shinyFound: true }, "Found shiny");
+    } else if (action === "hunt-found") {
+      const status = hunt.status === "found" ? "hunting" : hunt.status;
+      updateHunt(id, { status, shinyFound: false }, "Unmark shiny");
+    }
+    if (action === "hunt-remove") {
+      if (!confirm("Remove the hunt from this marker?")) return;
+      updateHunt(id, null, "Remove hunt");
+    }
+  };
+
+  // Edits hunt state in place so an open popup survives the change
+  const updateHunt = (id, patch, label) => {
+    const record = state.markersIndex.get(id);
+    if (!record || record.data.type !== "sprite" || record.data.locked) return;
+    const before = cloneData(record.data);
+    const hunt = patch
+      ? normalizeHunt({ ...record.data.hunt, ...patch })
+      : null;
+    if (hunt) record.data.hunt = hunt;
+    else delete record.data.hunt;
+    if (record.data.source === "user") {
+      record.data.updatedAt = new Date().toISOString();
+    }
+    applyHuntLook(record.marker, record.data);
+    const top = state.history.undo.at(-1);
+    const change = markerChange(before, record.data);
+    if (
+      label === "Count encounter" &&
+      top?.label === label &&
+      top.changes.length === 1 &&
+      top.changes[0].id === id
+    ) {
+      // Runs of +1/−1 on one marker collapse into a single undo step
+      top.changes[0].after = change.after;
+      top.at = Date.now();
+      state.history.redo = [];
+      updateHistoryUI();
+    } else {
+      recordChange(label, [change]);
+    }
+    if (record.marker?.isPopupOpen()) {
+      // Rebuild after the click finishes, or Leaflet sees a detached target
+      // and treats it as a map click that closes the popup
+      setTimeout(() => record.marker.getPopup()?.update(), 0);
+    }
+    renderHuntSummary();
+    persist();
+  };
+
+  const getHunts = () =>
+    [...state.data.presetMarkers, ...state.data.userMarkers].filter(
+      (m) => m.type === "sprite" && m.hunt
+    );
+
+  const renderHuntSummary = () => {
+    if (!dom.huntList) return;
+    const hunts = getHunts();
+    const filter = dom.huntStatusFilter?.value || "all";
+    const byStatus = Object.fromEntries(
+      HUNT_STATUSES.map((status) => [
+        status,
+        hunts.filter((m) => m.hunt.status === status).length,
+      ])
+    );
+    const total = hunts.reduce((sum, m) => sum + m.hunt.encounters, 0);
+    const shinies = hunts.filter((m) => m.hunt.shinyFound).length;
+    dom.huntSummary.textContent = hunts.length
+      ? `${hunts.length} hunt(s): ${byStatus.hunting} hunting, ${
+          byStatus.found
+        } found, ${
+          byStatus.abandoned
+        } abandoned • ${total.toLocaleString()} encounters • ${shinies} shiny`
+      : "Start a hunt from a Pokémon marker's popup.";
+    dom.huntList.innerHTML = "";
+    hunts
+      .filter((m) => filter === "all" || m.hunt.status === filter)
+      .sort(
+        (a, b) =>
+          HUNT_STATUSES.indexOf(a.hunt.status) -
+            HUNT_STATUSES.indexOf(b.hunt.status) ||
+          b.hunt.encounters - a.hunt.encounters
+      )
+      .forEach((m) => {
+        const item = buildResultItem(
+          m,
+          `${m.hunt.shinyFound ? "✦ " : ""}${
+            m.hunt.status
+          } • ${m.hunt.encounters.toLocaleString()} • ${formatHuntDays(m.hunt)}`
+        );
+        item.classList.add(`hunt-${m.hunt.status}`);
+        dom.huntList.appendChild(item);
+      });
+  };
+
+  /* Hunt sessions (timer + reset log while camping at a shiny anchor) */
+  const formatSpecies = (sprite) =>
+    sprite ? formatStickerLabel(sprite.replace(".shiny.png", ".png")) : "—";
+
+  const formatDuration = (ms) => {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    return `${h}:${String(m).padStart(2, "0")}:${String(sec).padStart(2, "0")}`;
+  };
+
+  const normalizeSession = (session) => ({
+    id: session.id || uuid("session"),
+    species: session.species || "",
+    anchorId: session.anchorId || null,
+    anchorName: session.anchorName || "",
+    anchor: session.anchor
+      ? { lat: toUnits(session.anchor.lat), lng: toUnits(session.anchor.lng) }
+      : null,
+    startedAt: session.startedAt || new Date().toISOString(),
+    endedAt: session.endedAt || null,
+    pausedAt: session.endedAt ? null : session.pausedAt || null,
+    pausedMs: Math.max(0, Number(session.pausedMs) || 0),
+    resets: Array.isArray(session.resets)
+      ? session.resets.map(Number).filter((ms) => ms >= 0)
+      : [],
+  });
+
+  const readWorkspaceSessions = (data) =>
+    Array.isArray(data.huntSessions)
+      ? data.huntSessions.map(normalizeSession)
+      : [];
+
+  const commitWorkspaceSessions = (sessions) => {
+    state.sessions.list = sessions;
+    renderSessions();
+  };
+
+  const applyWorkspaceSessions = (data) =>
+    commitWorkspaceSessions(readWorkspaceSessions(data));
+
+  // Only one session runs at a time: the one that has not ended yet
+  const getActiveSession = () =>
+    state.sessions.list.find((session) => !session.endedAt) || null;
+
+  // Wall-clock time since the start, minus time spent paused
+  const getSessionElapsed = (session, now = Date.now()) => {
+    const end = session.endedAt
+      ? Date.parse(session.endedAt)
+      : session.pausedAt
+        ? Date.parse(session.pausedAt)
+        : now;
+    return Math.max(0, end - Date.parse(session.startedAt) - session.pausedMs);
+  };
+
+  const getSessionRate = (session) => {
+    const hours = getSessionElapsed(session) / 3600000;
+    return hours > 0 ? session.resets.length / hours : 0;
+  };
+
+  const startSession = () => {
+    if (getActiveSession()) {
+      alert("Stop the current session before starting another.");
+      return;
+    }
+    const anchor = getActiveAnchor();
+    if (!anchor?.center) {
+      alert("Place a shiny anchor first.");
+      return;
+    }
+    const session = normalizeSession({
+      species: dom.sessionSpecies?.value || state.currentSticker,
+      anchorId: anchor.id,
+      anchorName: anchor.name,
+      anchor: anchor.center,
+    });
+    state.sessions.list.unshift(session);
+    renderSessions();
+    persist();
+  };
+
+  const toggleSessionPause = () => {
+    const session = getActiveSession();
+    if (!session) return;
+    if (session.pausedAt) {
+      session.pausedMs += Date.now() - Date.parse(session.pausedAt);
+      session.pausedAt = null;
+    } else {
+      session.pausedAt = new Date().toISOString();
+    }
+    renderSessions();
+    persist();
+  };
+
+  const stopSession = () => {
+    const session = getActiveSession();
+    if (!session) return;
+    if (session.pausedAt) {
+      session.pausedMs += Date.now() - Date.parse(session.pausedAt);
+      session.pausedAt = null;
+    }
+    session.endedAt = new Date().toISOString();
+    renderSessions();
+    persist();
+  };
+
+  // Returns false when there is no running session, so the R key falls through
+  const logSessionReset = (delta) => {
+    const session = getActiveSession();
+    if (!session || session.pausedAt) return false;
+    if (delta > 0) session.resets.push(getSessionElapsed(session));
+    else session.resets.pop();
+    renderSessionReadout();
+    persist();
+    return true;
+  };
+
+  const deleteSession = (id) => {
+    const session = state.sessions.list.find((item) => item.id === id);
+    if (!session) return;
+    const ok = confirm(
+      `Delete the ${formatSpecies(session.species)} session from ${formatTimestamp(
+        session.startedAt
+      )}?`
+    );
+    if (!ok) return;
+    state.sessions.list = state.sessions.list.filter((item) => item.id !== id);
+    renderSessions();
+    persist();
+  };
+
+  const syncSessionTimer = () => {
+    const session = getActiveSession();
+    const running = Boolean(session && !session.pausedAt);
+    if (running && !state.sessions.timer) {
+      state.sessions.timer = setInterval(renderSessionReadout, 1000);
+    } else if (!running && state.sessions.timer) {
+      clearInterval(state.sessions.timer);
+      state.sessions.timer = null;
+    }
+  };
+
+  const renderSessionReadout = () => {
+    if (!dom.sessionElapsed) return;
+    const session = getActiveSession();
+    dom.sessionElapsed.textContent = session
+      ? formatDuration(getSessionElapsed(session))
+      : "0:00:00";
+    dom.sessionResets.textContent = session ? session.resets.length : 0;
+    dom.sessionRate.textContent = session
+      ? getSessionRate(session).toFixed(1)
+      : "0.0";
+    dom.sessionStatus.textContent = session
+      ? `${session.pausedAt ? "Paused" : "Running"}: ${formatSpecies(
+          session.species
+        )} at ${session.anchorName}. Press R to log a reset (Shift+R takes one back).`
+      : "Start a session at the active shiny anchor.";
+    dom.sessionStart.disabled = Boolean(session);
+    dom.sessionPause.disabled = !session;
+    dom.sessionPause.textContent = session?.pausedAt ? "Resume" : "Pause";
+    dom.sessionStop.disabled = !session;
+    dom.sessionReset.disabled = !session || Boolean(session.pausedAt);
+  };
+
+  const renderSessions = () => {
+    syncSessionTimer();
+    renderSessionReadout();
+    if (!dom.sessionList) return;
+    dom.sessionList.innerHTML = "";
+    state.sessions.list
+      .filter((session) => session.endedAt)
+      .forEach((session) => {
+        const row = document.createElement("div");
+        row.className = "anchor-row path-row";
+        row.innerHTML = `
+          <span class="session-name"></span>
+          <span class="result-meta"></span>
+          <button class="pill mini" data-action="focus">Go</button>
+          <button class="pill mini danger" data-action="delete">Delete</button>
+        `;
+        row.querySelector(".session-name").textContent = `${formatSpecies(
+          session.species
+        )} · ${session.anchorName}`;
+        row.querySelector(".result-meta").textContent = `${formatTimestamp(
+          session.startedAt
+        )} · ${formatDuration(getSessionElapsed(session))} · ${
+          session.resets.length
+        } resets · ${getSessionRate(session).toFixed(1)}/h`;
+        row
+          .querySelector('[data-action="focus"]')
+          .addEventListener("click", () => {
+            if (session.anchor) state.map?.flyTo(session.anchor);
+          });
+        row
+          .querySelector('[data-action="delete"]')
+          .addEventListener("click", () => deleteSession(session.id));
+        dom.sessionList.appendChild(row);
+      });
+    if (dom.sessionCsv) {
+      dom.sessionCsv.disabled = !state.sessions.list.length;
+    }
+  };
+
+  const toCsvField = (value) => {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  // Spreadsheets run a cell starting with one of these as a formula, so
+  // user-typed text gets a leading quote to stay plain text
+  const toCsvText = (value) => {
+    const text = String(value ?? "");
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  };
+
+  // Anchor coordinates are map units, like every other export
+  const buildSessionCsv = () => {
+    const header = [
+      "session_id",
+      "species",
+      "sticker",
+      "anchor",
+      "anchor_lat",
+      "anchor_lng",
+      "started_at",
+      "ended_at",
+      "elapsed_minutes",
+      "resets",
+      "resets_per_hour",
+    ];
+    const rows = state.sessions.list.map((session) => [
+      session.id,
+      formatSpecies(session.species),
+      session.species,
+      toCsvText(session.anchorName),
+      session.anchor?.lat.toFixed(2) ?? "",
+      session.anchor?.lng.toFixed(2) ?? "",
+      session.startedAt,
+      session.endedAt || "",
+      (getSessionElapsed(session) / 60000).toFixed(1),
+      session.resets.length,
+      getSessionRate(session).toFixed(2),
+    ]);
+    return [header, ...rows]
+      .map((row) => row.map(toCsvField).join(","))
+      .join("\n");
+  };
+
+  const downloadSessionCsv = () => {
+    const blob = new Blob([buildSessionCsv()], { type: "text/csv" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "hunt-sessions.csv";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  /* Modes */
+  const setMeasureMode = (on) => {
+    state.measureMode = on;
+    dom.measureBtn.classList.toggle("active", on);
+    if (on) {
+      state.addMode = false;
+      dom.measureBtn.blur();
+      dom.addBtn.classList.remove("active");
+      setDeleteMode(false);
+      setZoneEditMode(false);
+    }
+  };
+
+  const setAddMode = (on) => {
+    state.addMode = on;
+    dom.addBtn.classList.toggle("active", on);
+    if (on) {
+      state.measureMode = false;
+      dom.measureBtn.classList.remove("active");
+      setDeleteMode(false);
+      setZoneMode(false);
+      setZoneEditMode(false);
+    }
+  };
+
+  const setEditMode = (on) => {
+    state.editMode = on;
+    dom.editBtn.classList.toggle("active", on);
+    state.markersIndex.forEach(({ marker }) => setDraggability(marker, on));
+    if (on) {
+      setDeleteMode(false);
+      setZoneMode(false);
+    } else {
+      setDeleteMode(false);
+      clearBulkSelection();
+    }
+    updateDeleteButtonVisibility();
+  };
+
+  const setDeleteMode = (on) => {
+    if (!state.editMode) on = false;
+    state.deleteMode = on;
+    dom.deleteBtn.classList.toggle("active", on);
+    if (on) {
+      state.addMode = false;
+      state.measureMode = false;
+      setZoneMode(false);
+      dom.addBtn.classList.remove("active");
+      dom.measureBtn.classList.remove("active");
+    }
+  };
+
+  const updateDeleteButtonVisibility = () => {
+    const show = state.editMode;
+    dom.deleteBtn.classList.toggle("hidden", !show);
+    if (!show) {
+      dom.deleteBtn.classList.remove("active");
+      state.deleteMode = false;
+    }
+  };
+
+  const setCurrentTool = (tool) => {
+    const next =
+      tool === "sprite" ? "sprite" : tool === "circle" ? "circle" : null;
+    // Toggle off if clicking the active tool
+    state.currentTool = next === state.currentTool ? null : next;
+    if (dom.typeCircle && dom.typeSprite) {
+      const isCircle = state.currentTool === "circle";
+      const isSprite = state.currentTool === "sprite";
+      dom.typeCircle.classList.toggle("active", isCircle);
+      dom.typeSprite.classList.toggle("active", isSprite);
+      dom.typeCircle.classList.toggle("toggle-off", !isCircle);
+      dom.typeSprite.classList.toggle("toggle-off", !isSprite);
+    }
+    if (
+      state.currentTool === "sprite" &&
+      !state.currentSticker &&
+      state.stickers.length
+    ) {
+      state.currentSticker = state.stickers[0];
+      dom.stickerSelect.value = state.currentSticker;
+    }
+    updateAddStickerVisibility();
+  };
+
+  const toggleLayer = (key, btn) => {
+    state.visibility[key] = !state.visibility[key];
+    btn.classList.toggle("active", state.visibility[key]);
+    btn.classList.toggle("toggle-off", !state.visibility[key]);
+    refreshLayerVisibility();
+  };
+
+  const updateAddStickerVisibility = () => {
+    const isSprite = state.currentTool === "sprite";
+    const isCircle = state.currentTool === "circle";
+    const colorRow = dom.markerColor?.closest(".field-row");
+    const stickerRow = dom.stickerSelect?.closest(".field-row");
+    if (colorRow) colorRow.classList.toggle("disabled", !isCircle);
+    if (stickerRow) stickerRow.classList.toggle("disabled", !isSprite);
+    if (dom.markerColor) dom.markerColor.disabled = !isCircle;
+    if (dom.stickerSelect) dom.stickerSelect.disabled = !isSprite;
+    if (isSprite && dom.stickerSelect && !dom.stickerSelect.value) {
+      dom.stickerSelect.value = state.currentSticker || state.stickers[0] || "";
+    }
+  };
+
+  const updateInspectorStickerVisibility = (type) => {
+    const isSprite = type === "sprite";
+    dom.inspectorColor
+      ?.closest(".field-row")
+      ?.classList.toggle("hidden", isSprite);
+    dom.inspectorSticker
+      ?.closest(".field-row")
+      ?.classList.toggle("hidden", !isSprite);
+    if (isSprite && dom.inspectorSticker && !dom.inspectorSticker.value) {
+      dom.inspectorSticker.value =
+        state.currentSticker || state.stickers[0] || "";
+    }
+  };
+
+  // Header ring toggles act on the active anchor
+  const toggleShinyRing = (index, btn) => {
+    const anchor = getActiveAnchor();
+    if (!anchor || index >= anchor.diameters.length) return;
+    anchor.ringVisible[index] = anchor.ringVisible[index] === false;
+    syncShinyRingButtons();
+    applyShinyVisibility();
+    renderAnchorList();
+    persist();
+  };
+
+  const syncShinyRingButtons = () => {
+    const anchor = getActiveAnchor();
+    const buttons = [
+      [dom.toggleRing50, dom.ringLegend0, 0],
+      [dom.toggleRing70, dom.ringLegend1, 1],
+    ];
+    buttons.forEach(([btn, legend, idx]) => {
+      if (!btn) return;
+      const diameter = anchor?.diameters[idx];
+      const on = anchor?.ringVisible[idx] !== false;
+      btn.classList.toggle("hidden", !diameter);
+      legend?.classList.toggle("hidden", !diameter);
+      if (legend && diameter) legend.textContent = `${diameter} units`;
+      btn.classList.toggle("active", on);
+      btn.classList.toggle("toggle-off", !on);
+      btn.textContent = on ? "Hide" : "Show";
+    });
+  };
+
+  const setZoneMode = (on) => {
+    state.zoneDrawing.active = on;
+    dom.zoneBtn.classList.toggle("active", on);
+    if (on) {
+      state.addMode = false;
+      state.measureMode = false;
+      setDeleteMode(false);
+      dom.addBtn.classList.remove("active");
+      dom.measureBtn.classList.remove("active");
+      setZoneEditMode(false);
+      resetZoneDrawing();
+      dom.zoneNumber.value = getNextZoneNumber();
+    } else {
+      resetZoneDrawing();
+    }
+  };
+
+  /* Map interactions */
+  const handleMapClick = (e) => {
+    // Canvas-drawn presets behave like their DOM counterparts: they swallow
+    // the click unless a map pick is waiting for a marker
+    const canvasHit = state.presetCanvas?.hitTest(e.containerPoint);
+    if (canvasHit) {
+      if (state.mapPick) {
+        resolveMapPick(L.latLng(canvasHit.lat, canvasHit.lng), canvasHit);
+      }
+      return;
+    }
+    if (state.mapPick) {
+      resolveMapPick(e.latlng, null);
+      return;
+    }
+    if (state.measureMode) {
+      addMeasurePoint(applySnap(e.latlng));
+      return;
+    }
+    if (state.zoneDrawing.active) {
+      handleZoneClick(e.latlng);
+      return;
+    }
+    if (state.zoneEdit.active) {
+      selectZone(null);
+      return;
+    }
+    if (state.deleteMode) return; // deletion handled via marker clicks
+    if (state.editMode && e.originalEvent?.shiftKey) return; // multi-select
+    if (!state.addMode) return;
+    const snapped = applySnap(e.latlng);
+    addMarkerAt(snapped);
+  };
+
+  const applySnap = (latlng) => {
+    if (!state.snap) return latlng;
+    const g = state.gridSize || 1;
+    const snapVal = (v) => Math.round(v / g) * g;
+    return L.latLng(snapVal(latlng.lat), snapVal(latlng.lng));
+  };
+
+  /* Shiny anchors (each with its own rings) */
+  const normalizeAnchor = (anchor, idx = 0) => {
+    const base = { ...anchor };
+    base.id = base.id || uuid("shiny");
+    base.name =
+      (typeof base.name === "string" && base.name) || `Anchor ${idx + 1}`;
+    base.color = base.color || DEFAULT_ANCHOR_COLOR;
+    base.hidden = Boolean(base.hidden);
+    base.center = base.center
+      ? { lat: toUnits(base.center.lat), lng: toUnits(base.center.lng) }
+      : null;
+    const diameters = Array.isArray(base.diameters)
+      ? base.diameters.map(Number).filter((d) => d > 0)
+      : [];
+    base.diameters = diameters.length
+      ? diameters
+      : SHINY_DIAMETERS_UNITS.slice();
+    base.ringVisible = base.diameters.map(
+      (_, i) => base.ringVisible?.[i] !== false
+    );
+    return base;
+  };
+
+  const getActiveAnchor = () =>
+    state.shiny.anchors.find((a) => a.id === state.shiny.activeId) ||
+    state.shiny.anchors[0] ||
+    null;
+
+  const renderShinyAnchors = () => {
+    if (!state.map) return;
+    if (!state.shiny.layer) state.shiny.layer = L.layerGroup().addTo(state.map);
+    state.shiny.layer.clearLayers();
+    state.shiny.views.clear();
+    const active = getActiveAnchor();
+    state.shiny.activeId = active?.id || null;
+    state.shiny.anchors.forEach((anchor) => {
+      if (!anchor.center) return;
+      const view = createAnchorView(anchor, anchor === active);
+      state.shiny.views.set(anchor.id, view);
+      if (!anchor.hidden) view.group.addTo(state.shiny.layer);
+    });
+    updateIconScales();
+    applyShinyVisibility();
+    syncShinyRingButtons();
+    renderAnchorList();
+    updateCoverageReport();
+    renderRoute();
+  };
+
+  const createAnchorView = (anchor, isActive) => {
+    const group = L.layerGroup();
+    const icon = L.divIcon({
+      className: `map-icon shiny-center${isActive ? " active-anchor" : ""}`,
+      iconSize: [18, 18],
+      html: "",
+    });
+    const marker = L.marker(anchor.center, {
+      draggable: true,
+      icon,
+      zIndexOffset: isActive ? 810 : 800,
+    }).addTo(group);
+    marker.bindTooltip(escapeHtml(anchor.name), {
+      direction: "top",
+      offset: [0, -10],
+    });
+    marker.on("add", () => {
+      const el = marker.getElement();
+      if (el) el.style.background = anchor.color;
+      updateIconScales();
+    });
+    marker.on("click", () => setActiveAnchor(anchor.id));
+    marker.on("drag", () => {
+      rings.forEach((ring) => ring.setLatLng(marker.getLatLng()));
+    });
+    marker.on("dragend", () => {
+      const snapped = applySnap(marker.getLatLng());
+      anchor.center = { lat: snapped.lat, lng: snapped.lng };
+      state.shiny.activeId = anchor.id;
+      renderShinyAnchors();
+      persist();
+    });
+
+    const rings = anchor.diameters.map((diameterUnits, idx) =>
+      L.circle(anchor.center, {
+        radius: (diameterUnits / 2) * state.pixelsPerUnit,
+        color: SHINY_RING_COLORS[idx % SHINY_RING_COLORS.length],
+        weight: isActive ? 3 : 2,
+        dashArray: null,
+        fill: false,
+        interactive: false,
+      }).addTo(group)
+    );
+    return { group, marker, rings };
+  };
+
+  const updateShinyRings = () => {
+    state.shiny.anchors.forEach((anchor) => {
+      const view = state.shiny.views.get(anchor.id);
+      if (!view || !anchor.center) return;
+      view.marker.setLatLng(anchor.center);
+      view.rings.forEach((ring, idx) => {
+        ring.setLatLng(anchor.center);
+        ring.setRadius((anchor.diameters[idx] / 2) * state.pixelsPerUnit);
+      });
+    });
+    applyShinyVisibility();
+    updateCoverageReport();
+  };
+
+  const applyShinyVisibility = () => {
+    state.shiny.anchors.forEach((anchor) => {
+      const view = state.shiny.views.get(anchor.id);
+      if (!view) return;
+      view.rings.forEach((ring, idx) => {
+        const show = anchor.ringVisible[idx] !== false;
+        if (show) {
+          if (!view.group.hasLayer(ring)) ring.addTo(view.group);
+        } else if (view.group.hasLayer(ring)) {
+          view.group.removeLayer(ring);
+        }
       });
-      marker.on("add", () => {
-        const el = marker.getElement();
-        if (el) el.style.background = markerData.color || state.currentColor;
-        updateIconScales();
+    });
+  };
+
+  const setActiveAnchor = (id) => {
+    if (state.shiny.activeId === id) return;
+    state.shiny.activeId = id;
+    renderShinyAnchors();
+    persist();
+  };
+
+  const addShinyAnchor = () => {
+    if (!state.map) return;
+    const center = applySnap(state.map.getCenter());
+    const anchor = normalizeAnchor(
+      { center: { lat: center.lat, lng: center.lng } },
+      state.shiny.anchors.length
+    );
+    state.shiny.anchors.push(anchor);
+    state.shiny.activeId = anchor.id;
+    state.shiny.seeded = true;
+    renderShinyAnchors();
+    persist();
+  };
+
+  const updateAnchor = (id, mutate) => {
+    const anchor = state.shiny.anchors.find((a) => a.id === id);
+    if (!anchor) return;
+    mutate(anchor);
+    renderShinyAnchors();
+    persist();
+  };
+
+  const deleteShinyAnchor = (id) => {
+    const anchor = state.shiny.anchors.find((a) => a.id === id);
+    if (!anchor) return;
+    if (!confirm(`Delete shiny anchor "${anchor.name}"?`)) return;
+    state.shiny.anchors = state.shiny.anchors.filter((a) => a.id !== id);
+    renderShinyAnchors();
+    persist();
+  };
+
+  const parseDiameters = (value) =>
+    String(value)
+      .split(/[,\s]+/)
+      .map((v) => Number.parseFloat(v))
+      .filter((v) => Number.isFinite(v) && v > 0);
+
+  const renderAnchorList = () => {
+    if (!dom.anchorList) return;
+    dom.anchorList.innerHTML = "";
+    if (!state.shiny.anchors.length) {
+      const empty = document.createElement("div");
+      empty.className = "hint";
+      empty.textContent = "No anchors. Add one to measure spawn distances.";
+      dom.anchorList.appendChild(empty);
+      return;
+    }
+    state.shiny.anchors.forEach((anchor) => {
+      dom.anchorList.appendChild(buildAnchorCard(anchor));
+    });
+  };
+
+  const buildAnchorCard = (anchor) => {
+    const card = document.createElement("div");
+    card.className = "anchor-card";
+    card.classList.toggle("active", anchor.id === state.shiny.activeId);
+    card.innerHTML = `
+      <div class="anchor-row">
+        <input type="color" data-field="color" title="Anchor color" />
+        <input type="text" data-field="name" placeholder="Anchor name" />
+        <button class="pill mini" data-action="hide"></button>
+        <button class="pill mini danger" data-action="delete">Delete</button>
+      </div>
+      <div class="anchor-row">
+        <label>Rings (u)</label>
+        <input type="text" data-field="diameters" placeholder="50, 70" />
+        <div class="anchor-rings"></div>
+      </div>
+    `;
+    const colorInput = card.querySelector('[data-field="color"]');
+    const nameInput = card.querySelector('[data-field="name"]');
+    const diametersInput = card.querySelector('[data-field="diameters"]');
+    const hideBtn = card.querySelector('[data-action="hide"]');
+    colorInput.value = anchor.color;
+    nameInput.value = anchor.name;
+    diametersInput.value = anchor.diameters.join(", ");
+    hideBtn.textContent = anchor.hidden ? "Show" : "Hide";
+    hideBtn.classList.toggle("toggle-off", anchor.hidden);
+
+    card.addEventListener("click", (e) => {
+      if (e.target.closest("input, button")) return;
+      setActiveAnchor(anchor.id);
+    });
+    colorInput.addEventListener("change", () =>
+      updateAnchor(anchor.id, (a) => (a.color = colorInput.value))
+    );
+    nameInput.addEventListener("change", () =>
+      updateAnchor(anchor.id, (a) => {
+        a.name = nameInput.value.trim() || a.name;
+      })
+    );
+    diametersInput.addEventListener("change", () => {
+      const diameters = parseDiameters(diametersInput.value);
+      if (!diameters.length) {
+        alert("Enter one or more ring diameters, e.g. 50, 70.");
+        diametersInput.value = anchor.diameters.join(", ");
+        return;
+      }
+      updateAnchor(anchor.id, (a) => {
+        a.ringVisible = diameters.map((_, i) => a.ringVisible[i] !== false);
+        a.diameters = diameters;
+      });
+    });
+    hideBtn.addEventListener("click", () =>
+      updateAnchor(anchor.id, (a) => (a.hidden = !a.hidden))
+    );
+    card
+      .querySelector('[data-action="delete"]')
+      .addEventListener("click", () => deleteShinyAnchor(anchor.id));
+
+    const ringsEl = card.querySelector(".anchor-rings");
+    anchor.diameters.forEach((diameter, idx) => {
+      const btn = document.createElement("button");
+      const on = anchor.ringVisible[idx] !== false;
+      btn.className = "pill mini";
+      btn.classList.toggle("active", on);
+      btn.classList.toggle("toggle-off", !on);
+      btn.style.borderColor = on
+        ? SHINY_RING_COLORS[idx % SHINY_RING_COLORS.length]
+        : "";
+      btn.textContent = `${diameter}u`;
+      btn.title = on ? "Hide ring" : "Show ring";
+      btn.addEventListener("click", () =>
+        updateAnchor(anchor.id, (a) => {
+          a.ringVisible[idx] = !on;
+        })
+      );
+      ringsEl.appendChild(btn);
+    });
+    return card;
+  };
+
+  const recenterShiny = () => {
+    if (!state.map) return;
+    const anchor = getActiveAnchor();
+    if (!anchor) {
+      addShinyAnchor();
+      return;
+    }
+    const center = state.map.getCenter();
+    updateAnchor(anchor.id, (a) => {
+      a.center = { lat: center.lat, lng: center.lng };
+    });
+  };
+
+  const exportAnchors = () =>
+    state.shiny.anchors.map(
+      ({ id, name, color, hidden, center, diameters, ringVisible }) => ({
+        id,
+        name,
+        color,
+        hidden,
+        center,
+        diameters,
+        ringVisible,
+      })
+    );
+
+  /* Ring coverage report */
+  // Distance bands around a center: each ring, then a margin past the last one
+  const getRingBands = (diameters) => {
+    const radii = diameters
+      .map((d) => d / 2)
+      .filter((r) => r > 0)
+      .sort((a, b) => a - b);
+    const bands = radii.map((r, idx) => ({
+      label:
+        idx === 0
+          ? `Inside ${r * 2}u ring`
+          : `Between ${radii[idx - 1] * 2}u and ${r * 2}u rings`,
+      min: idx === 0 ? 0 : radii[idx - 1],
+      max: r,
+    }));
+    const outer = radii[radii.length - 1] || 0;
+    bands.push({
+      label: `Just outside (within ${COVERAGE_MARGIN_UNITS}u)`,
+      min: outer,
+      max: outer + COVERAGE_MARGIN_UNITS,
+    });
+    return bands;
+  };
+
+  // Radii are in units; formatDistance converts map pixels with the locked scale
+  const buildCoverage = (center, diameters) => {
+    const bands = getRingBands(diameters).map((band) => ({
+      ...band,
+      entries: [],
+    }));
+    const reach = bands[bands.length - 1].max;
+    markersWithin(center, reach).forEach(({ data, units }) => {
+      const band = bands.find((b) =>
+        b.min === 0 ? units <= b.max : units > b.min && units <= b.max
+      );
+      if (band) band.entries.push({ data, units });
+    });
+    bands.forEach((band) => band.entries.sort((a, b) => a.units - b.units));
+    return bands;
+  };
+
+  const updateCoverageReport = () => {
+    if (!dom.coverageList) return;
+    const anchor = getActiveAnchor();
+    dom.coverageList.innerHTML = "";
+    if (!anchor?.center) {
+      dom.coverageSummary.textContent =
+        "Drop a shiny anchor to see what lies inside its rings.";
+      return;
+    }
+    const bands = buildCoverage(anchor.center, anchor.diameters);
+    dom.coverageSummary.textContent = `${anchor.name}: ${bands
+      .map((band) => `${band.label}: ${band.entries.length}`)
+      .join(" · ")}`;
+    bands.forEach((band) => {
+      const title = document.createElement("div");
+      title.className = "result-group-title";
+      title.textContent = `${band.label} (${band.entries.length})`;
+      dom.coverageList.appendChild(title);
+      band.entries.forEach(({ data, units }) => {
+        dom.coverageList.appendChild(
+          buildResultItem(data, `${data.type} · ${units.toFixed(2)}u`)
+        );
+      });
+    });
+  };
+
+  const scheduleReports = debounce(() => {
+    updateCoverageReport();
+    updateBenchFinder();
+    renderRoute();
+    updateNavigation();
+    updateSearch();
+    renderTagFilter();
+    renderSpriteFilter();
+    renderHuntSummary();
+    updateClusters();
+  }, 100);
+
+  const buildResultItem = (data, meta) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "result-item";
+    const label = document.createElement("span");
+    label.textContent = data.label;
+    const detail = document.createElement("span");
+    detail.className = "result-meta";
+    detail.textContent = meta;
+    item.append(label, detail);
+    item.addEventListener("click", () => focusMarker(data.id));
+    return item;
+  };
+
+  // Flies to a marker and, when it is editable, selects it and opens its popup.
+  // Locked presets have no popup of their own, so they get a read-only one.
+  const focusMarker = (id) => {
+    const record = state.markersIndex.get(id);
+    if (!record || !state.map) return;
+    ensureVisibilityFor(record.data);
+    const latlng = L.latLng(record.data.lat, record.data.lng);
+    const zoom = Math.max(state.map.getZoom(), state.map.getMaxZoom() - 2);
+    state.map.flyTo(latlng, zoom);
+    state.map.once("moveend", () => {
+      if (record.data.locked || record.data.source === "preset") {
+        L.popup({ offset: [0, -10] })
+          .setLatLng(latlng)
+          .setContent(buildInfoPopupContent(record.data))
+          .openOn(state.map);
+        return;
+      }
+      selectMarker(id);
+      record.marker?.openPopup();
+    });
+  };
+
+  const buildInfoPopupContent = (markerData) => {
+    const container = document.createElement("div");
+    const title = document.createElement("div");
+    title.style.marginBottom = "6px";
+    const strong = document.createElement("strong");
+    strong.textContent = markerData.label;
+    title.appendChild(strong);
+    const meta = document.createElement("div");
+    meta.className = "hint";
+    meta.textContent = `${markerData.type} • ${markerData.source} (locked)`;
+    container.append(title, meta);
+    container.insertAdjacentHTML("beforeend", buildMarkerMeta(markerData));
+    return container;
+  };
+
+  /* Marker search */
+  const getSearchText = (data) =>
+    [
+      data.label,
+      data.type,
+      data.source,
+      data.sprite,
+      data.sprite ? formatStickerLabel(data.sprite) : "",
+      ...(data.tags || []).map((tag) => `#${tag} ${tag}`),
+      data.notes,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+
+  // Every word of the query must appear in the label, type or sticker name
+  const searchMarkers = (query) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return [];
+    const anchor = getActiveAnchor();
+    const results = [];
+    state.markersIndex.forEach(({ data }) => {
+      const text = getSearchText(data);
+      if (!terms.every((term) => text.includes(term))) return;
+      const label = (data.label || "").toLowerCase();
+      results.push({
+        data,
+        prefix: label.startsWith(terms[0]) ? 0 : 1,
+        units: anchor?.center ? unitsBetween(anchor.center, data) : null,
+      });
+    });
+    return results.sort(
+      (a, b) => a.prefix - b.prefix || (a.units ?? 0) - (b.units ?? 0)
+    );
+  };
+
+  const updateSearch = () => {
+    if (!dom.searchResults) return;
+    const query = dom.searchInput.value.trim();
+    dom.searchResults.innerHTML = "";
+    if (!query) {
+      dom.searchSummary.textContent =
+        "Search by label, Pokémon sticker or type.";
+      return;
+    }
+    const results = searchMarkers(query);
+    const anchor = getActiveAnchor();
+    dom.searchSummary.textContent = results.length
+      ? `${results.length} match(es)${
+          results.length > SEARCH_RESULT_LIMIT
+            ? `, showing ${SEARCH_RESULT_LIMIT}`
+            : ""
+        }${anchor?.center ? ` · distance from ${anchor.name}` : ""}`
+      : "No markers match.";
+    results.slice(0, SEARCH_RESULT_LIMIT).forEach(({ data, units }) => {
+      const meta =
+        units === null
+          ? `${data.type} · ${data.source}`
+          : `${data.type} · ${data.source} · ${units.toFixed(2)}u`;
+      dom.searchResults.appendChild(buildResultItem(data, meta));
+    });
+  };
+
+  /* Best bench finder */
+  const findBestBench = (targetId) => {
+    const record = targetId ? state.markersIndex.get(targetId) : null;
+    if (record && !["circle", "sprite"].includes(record.data.type)) {
+      alert("Pick a circle or Pokémon marker as the target.");
+      return;
+    }
+    state.benchFinder.targetId = record ? targetId : null;
+    if (state.map) state.map.closePopup();
+    updateBenchFinder();
+  };
+
+  // Ranks preset benches by which ring band the target would fall in
+  const rankBenches = (target, prefer) => {
+    const bands = getRingBands(SHINY_DIAMETERS_UNITS).slice(0, -1);
+    const order = prefer === "band" ? [1, 0] : [0, 1];
+    const rankOf = (bandIdx) => {
+      const pos = order.indexOf(bandIdx);
+      return pos >= 0 ? pos : order.length;
+    };
+    return state.data.presetMarkers
+      .filter((m) => m.type === "bench")
+      .map((bench) => {
+        const units = Number(formatDistance(bench, target).units);
+        const bandIdx = bands.findIndex((b) => units <= b.max);
+        return {
+          bench,
+          units,
+          rank: rankOf(bandIdx),
+          bandLabel: bandIdx >= 0 ? bands[bandIdx].label : "Outside rings",
+        };
+      })
+      .sort((a, b) => a.rank - b.rank || a.units - b.units);
+  };
+
+  const updateBenchFinder = () => {
+    if (!dom.benchList) return;
+    if (state.benchFinder.layer) state.benchFinder.layer.clearLayers();
+    dom.benchList.innerHTML = "";
+    const record = state.markersIndex.get(state.benchFinder.targetId);
+    if (!record) {
+      state.benchFinder.targetId = null;
+      dom.benchSummary.textContent =
+        "Pick a circle or Pokémon marker, then press “Best bench” in its popup.";
+      return;
+    }
+    const target = record.data;
+    const ranked = rankBenches(target, state.benchFinder.prefer);
+    const matches = ranked.filter((r) => r.rank === 0).length;
+    dom.benchSummary.textContent = `Target: ${target.label} — ${matches} bench(es) put it in the preferred band.`;
+    ranked.slice(0, BEST_BENCH_LIST_SIZE).forEach((entry, idx) => {
+      dom.benchList.appendChild(
+        buildResultItem(
+          entry.bench,
+          `#${idx + 1} · ${entry.bandLabel.toLowerCase()} · ${entry.units.toFixed(2)}u`
+        )
+      );
+    });
+    highlightBenches(target, ranked.slice(0, BEST_BENCH_HIGHLIGHTS));
+  };
+
+  const highlightBenches = (target, best) => {
+    if (!state.map) return;
+    if (!state.benchFinder.layer) {
+      state.benchFinder.layer = L.layerGroup().addTo(state.map);
+    }
+    const layer = state.benchFinder.layer;
+    best.forEach((entry, idx) => {
+      const latlng = L.latLng(entry.bench.lat, entry.bench.lng);
+      if (idx === 0) {
+        SHINY_DIAMETERS_UNITS.forEach((diameterUnits) =>
+          L.circle(latlng, {
+            radius: (diameterUnits / 2) * state.pixelsPerUnit,
+            color: "#38bdf8",
+            weight: 2,
+            dashArray: "6 6",
+            fill: false,
+            interactive: false,
+          }).addTo(layer)
+        );
+      }
+      L.polyline([latlng, [target.lat, target.lng]], {
+        color: "#38bdf8",
+        weight: 1,
+        dashArray: "2 6",
+        interactive: false,
+      }).addTo(layer);
+      L.marker(latlng, {
+        icon: L.divIcon({
+          className: "bench-rank",
+          html: `${idx + 1}`,
+          iconSize: [22, 22],
+        }),
+        interactive: false,
+        zIndexOffset: 700,
+      }).addTo(layer);
+    });
+  };
+
+  /* Map picking (one-shot click to choose a point or marker) */
+  const requestMapPick = (message, onPick, statusEl = dom.routeSummary) => {
+    state.mapPick = { message, onPick };
+    dom.mapEl.classList.add("picking");
+    if (statusEl) statusEl.textContent = message;
+  };
+
+  const resolveMapPick = (latlng, markerData) => {
+    const pick = state.mapPick;
+    cancelMapPick();
+    pick?.onPick(latlng, markerData);
+  };
+
+  const cancelMapPick = () => {
+    if (!state.mapPick) return;
+    state.mapPick = null;
+    dom.mapEl.classList.remove("picking");
+    renderRoute();
+    updateNavigation();
+  };
+
+  const findNearestMarker = (latlng, maxUnits = Infinity) =>
+    nearestMarkers(latlng, 1, null, maxUnits)[0]?.data || null;
+
+  /* Hunt route optimizer */
+  const unitsBetween = (a, b) =>
+    Math.hypot(b.lng - a.lng, b.lat - a.lat) / state.pixelsPerUnit;
+
+  const pathLength = (points) =>
+    points
+      .slice(1)
+      .reduce((sum, p, idx) => sum + unitsBetween(points[idx], p), 0);
+
+  const nearestNeighborTour = (first, rest) => {
+    const tour = [first];
+    const remaining = rest.slice();
+    while (remaining.length) {
+      const last = tour[tour.length - 1];
+      let bestIdx = 0;
+      remaining.forEach((p, idx) => {
+        if (unitsBetween(last, p) < unitsBetween(last, remaining[bestIdx])) {
+          bestIdx = idx;
+        }
       });
-      return marker;
+      tour.push(remaining.splice(bestIdx, 1)[0]);
     }
+    return tour;
+  };
 
-    if (markerData.type === "sprite") {
-      const icon = L.divIcon({
-        className: "map-icon sprite-icon",
-        iconSize: [32, 32],
-        html: "",
+  // 2-opt on an open path; the first point never moves
+  const twoOpt = (tour) => {
+    const route = tour.slice();
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 1; i < route.length - 1; i++) {
+        for (let k = i + 1; k < route.length; k++) {
+          const [a, b, c, d] = [route[i - 1], route[i], route[k], route[k + 1]];
+          const before = unitsBetween(a, b) + (d ? unitsBetween(c, d) : 0);
+          const after = unitsBetween(a, c) + (d ? unitsBetween(b, d) : 0);
+          if (after + 1e-9 < before) {
+            route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+            improved = true;
+          }
+        }
+      }
+    }
+    return route;
+  };
+
+  // Returns stops in visiting order (start excluded)
+  const planRoute = (start, stops) => {
+    if (!stops.length) return [];
+    if (start) return twoOpt(nearestNeighborTour(start, stops)).slice(1);
+    let best = null;
+    stops.slice(0, ROUTE_START_CANDIDATES).forEach((first) => {
+      const tour = twoOpt(
+        nearestNeighborTour(
+          first,
+          stops.filter((stop) => stop !== first)
+        )
+      );
+      if (!best || pathLength(tour) < pathLength(best)) best = tour;
+    });
+    return best;
+  };
+
+  const getRouteCandidates = () =>
+    state.data.userMarkers.filter(
+      (m) => m.type === "circle" || m.type === "sprite"
+    );
+
+  const resolveRouteStart = () => {
+    const start = state.data.route.start;
+    if (!start) return null;
+    if (start.kind === "anchor") {
+      const anchor = state.shiny.anchors.find((a) => a.id === start.id);
+      return anchor?.center
+        ? { id: anchor.id, label: anchor.name, ...anchor.center }
+        : null;
+    }
+    if (start.kind === "marker") {
+      const record = state.markersIndex.get(start.id);
+      return record
+        ? {
+            id: start.id,
+            label: record.data.label,
+            lat: record.data.lat,
+            lng: record.data.lng,
+          }
+        : null;
+    }
+    return { id: "point", label: "Map point", lat: start.lat, lng: start.lng };
+  };
+
+  const computeRoute = () => {
+    const start = resolveRouteStart();
+    const selected = new Set(state.data.route.stopIds);
+    const stops = getRouteCandidates().filter((m) => selected.has(m.id));
+    // Planning is the slow part, and most edits (labels, other markers)
+    // leave its inputs alone, so reuse the tour until start or stops move
+    const key = JSON.stringify([
+      start && [start.lat, start.lng],
+      stops.map(({ id, lat, lng }) => [id, lat, lng]),
+    ]);
+    if (state.routePlan?.key !== key) {
+      const orderIds = planRoute(start, stops).map((m) => m.id);
+      state.routePlan = { key, orderIds };
+    }
+    const byId = new Map(stops.map((m) => [m.id, m]));
+    const order = state.routePlan.orderIds.map((id) => byId.get(id));
+    const points = (start ? [start] : []).concat(order);
+    return { start, order, points, total: pathLength(points) };
+  };
+
+  const setRouteStops = (ids) => {
+    state.data.route.stopIds = ids;
+    renderRoute();
+    persist();
+  };
+
+  const setRouteStart = (value) => {
+    if (value === "pick") {
+      pickRouteStart();
+      return;
+    }
+    if (value === "point") return;
+    const [kind, id] = value.split(":");
+    state.data.route.start =
+      kind === "anchor" || kind === "marker" ? { kind, id } : null;
+    renderRoute();
+    persist();
+  };
+
+  const pickRouteStart = () => {
+    requestMapPick(
+      "Click a bench, marker or anywhere on the map to start the route there (Esc cancels).",
+      (latlng, markerData) => {
+        const snapped =
+          markerData || findNearestMarker(latlng, ROUTE_PICK_RADIUS_UNITS);
+        state.data.route.start = snapped
+          ? { kind: "marker", id: snapped.id }
+          : { kind: "point", lat: latlng.lat, lng: latlng.lng };
+        renderRoute();
+        persist();
+      }
+    );
+  };
+
+  const renderRoute = () => {
+    if (state.routeLayer) state.routeLayer.clearLayers();
+    else if (state.map) state.routeLayer = L.layerGroup().addTo(state.map);
+    const route = computeRoute();
+    renderRoutePanel(route);
+    if (!state.routeLayer || route.points.length < 2) return;
+    L.polyline(route.points, {
+      color: "#facc15",
+      weight: 3,
+      opacity: 0.9,
+      interactive: false,
+    }).addTo(state.routeLayer);
+    route.points.forEach((pt, idx) => {
+      const isStart = route.start && idx === 0;
+      const number = route.start ? idx : idx + 1;
+      L.marker([pt.lat, pt.lng], {
+        icon: L.divIcon({
+          className: `route-stop${isStart ? " start" : ""}`,
+          html: isStart ? "S" : `${number}`,
+          iconSize: [20, 20],
+        }),
+        interactive: false,
+        zIndexOffset: 650,
+      }).addTo(state.routeLayer);
+    });
+  };
+
+  const renderRoutePanel = (route) => {
+    if (!dom.routeStops) return;
+    const start = state.data.route.start;
+    dom.routeStart.innerHTML = "";
+    const addOption = (value, text) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      dom.routeStart.appendChild(opt);
+    };
+    addOption("", "No fixed start");
+    state.shiny.anchors.forEach((a) =>
+      addOption(`anchor:${a.id}`, `Shiny anchor: ${a.name}`)
+    );
+    if (start?.kind === "marker" && route.start) {
+      addOption(`marker:${start.id}`, `Marker: ${route.start.label}`);
+    }
+    if (start?.kind === "point") addOption("point", "Picked map point");
+    addOption("pick", "Pick on map…");
+    dom.routeStart.value = !start
+      ? ""
+      : start.kind === "point"
+        ? "point"
+        : `${start.kind}:${start.id}`;
+
+    const selected = new Set(state.data.route.stopIds);
+    dom.routeStops.innerHTML = "";
+    const candidates = getRouteCandidates();
+    candidates.forEach((m) => {
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = selected.has(m.id);
+      box.addEventListener("change", () => {
+        const ids = state.data.route.stopIds.filter((id) => id !== m.id);
+        setRouteStops(box.checked ? ids.concat(m.id) : ids);
       });
-      const marker = L.marker(latlng, {
-        icon,
-        draggable: state.editMode,
-        bubblingMouseEvents: false,
+      label.append(box, ` ${m.label}`);
+      dom.routeStops.appendChild(label);
+    });
+
+    dom.routeOrder.innerHTML = "";
+    route.order.forEach((m, idx) => {
+      const prev = route.points[route.points.indexOf(m) - 1];
+      const leg = prev ? `+${unitsBetween(prev, m).toFixed(2)}u` : "first";
+      dom.routeOrder.appendChild(buildResultItem(m, `#${idx + 1} · ${leg}`));
+    });
+    if (state.mapPick) return;
+    dom.routeSummary.textContent = !candidates.length
+      ? "Place circle or Pokémon markers to plan a route."
+      : route.order.length
+        ? `${route.order.length} stop(s) · ${route.total.toFixed(2)} units total`
+        : "Tick the markers you want to visit.";
+  };
+
+  const exportRoute = () => {
+    const route = computeRoute();
+    return {
+      start: state.data.route.start,
+      stopIds: state.data.route.stopIds,
+      order: route.order.map(({ id, label, lat, lng }) => ({
+        id,
+        label,
+        lat,
+        lng,
+      })),
+      totalUnits: Number(route.total.toFixed(2)),
+    };
+  };
+
+  const normalizeRoute = (route) => ({
+    start: route?.start?.kind ? { ...route.start } : null,
+    stopIds: Array.isArray(route?.stopIds) ? route.stopIds.slice() : [],
+  });
+
+  /* Vertical navigation (ladders + elevators connect street and rooftops) */
+  const getConnectors = () => {
+    const connectors = [];
+    state.markersIndex.forEach(({ data }) => {
+      if (data.type === "ladder" || data.type === "elevator") {
+        connectors.push(data);
+      }
+    });
+    return connectors;
+  };
+
+  // Dijkstra over (node, level) states; walking stays on a level, connectors
+  // switch levels. Rooftop walks longer than maxRoofHop are not allowed.
+  const planVerticalRoute = (start, end, options) => {
+    const { startLevel, endLevel, maxRoofHop } = options;
+    const nodes = [
+      { kind: "start", point: start },
+      { kind: "end", point: end },
+      ...getConnectors().map((data) => ({ kind: "connector", point: data })),
+    ];
+    const total = nodes.length * 2;
+    const dist = new Float64Array(total).fill(Infinity);
+    const prev = new Int32Array(total).fill(-1);
+    const done = new Uint8Array(total);
+    const source = NAV_LEVELS.indexOf(startLevel);
+    const target = 2 + NAV_LEVELS.indexOf(endLevel);
+    dist[source] = 0;
+    const relax = (from, to, cost) => {
+      if (dist[from] + cost < dist[to]) {
+        dist[to] = dist[from] + cost;
+        prev[to] = from;
+      }
+    };
+    for (;;) {
+      let u = -1;
+      for (let i = 0; i < total; i++) {
+        if (!done[i] && dist[i] < Infinity && (u < 0 || dist[i] < dist[u])) {
+          u = i;
+        }
+      }
+      if (u < 0 || u === target) break;
+      done[u] = 1;
+      const nodeIdx = u >> 1;
+      const level = u & 1;
+      const node = nodes[nodeIdx];
+      if (node.kind === "connector") {
+        relax(u, nodeIdx * 2 + (1 - level), NAV_CLIMB_COST_UNITS);
+      }
+      nodes.forEach((other, j) => {
+        if (j === nodeIdx || other.kind === "start") return;
+        const v = j * 2 + level;
+        if (done[v]) return;
+        const units = unitsBetween(node.point, other.point);
+        if (level === 1 && units > maxRoofHop) return;
+        relax(u, v, units);
       });
-      marker.on("add", () => {
-        const el = marker.getElement();
-        if (el) {
-          el.style.backgroundImage = `url(${getStickerPath(
-            markerData.sprite
-          )})`;
-          el.style.backgroundSize = "contain";
-          el.style.backgroundRepeat = "no-repeat";
-          el.style.backgroundColor = "transparent";
+    }
+    if (dist[target] === Infinity) return null;
+
+    const chain = [];
+    for (let v = target; v >= 0; v = prev[v]) chain.unshift(v);
+    const steps = [];
+    chain.slice(1).forEach((v, idx) => {
+      const u = chain[idx];
+      const from = nodes[u >> 1];
+      const to = nodes[v >> 1];
+      if (from === to) {
+        steps.push({
+          kind: "climb",
+          connector: to.point,
+          up: (v & 1) === 1,
+        });
+      } else {
+        steps.push({
+          kind: "walk",
+          from: from.point,
+          to: to.point,
+          level: NAV_LEVELS[u & 1],
+          units: unitsBetween(from.point, to.point),
+        });
+      }
+    });
+    const walked = steps
+      .filter((step) => step.kind === "walk")
+      .reduce((sum, step) => sum + step.units, 0);
+    return { steps, walked };
+  };
+
+  const pickNavPoint = (which) => {
+    requestMapPick(
+      `Click the map (or a marker) to set the ${
+        which === "start" ? "start" : "destination"
+      } (Esc cancels).`,
+      (latlng, markerData) => {
+        const point = markerData
+          ? { lat: markerData.lat, lng: markerData.lng }
+          : applySnap(latlng);
+        state.nav[which] = { lat: point.lat, lng: point.lng };
+        updateNavigation();
+      },
+      dom.navSummary
+    );
+  };
+
+  const updateNavigation = () => {
+    if (!dom.navSteps) return;
+    if (state.nav.layer) state.nav.layer.clearLayers();
+    else if (state.map) state.nav.layer = L.layerGroup().addTo(state.map);
+    dom.navSteps.innerHTML = "";
+    const { start, end } = state.nav;
+    const layer = state.nav.layer;
+    if (layer) {
+      if (start) drawNavEndpoint(start, "origin-marker");
+      if (end) drawNavEndpoint(end, "target-marker");
+    }
+    if (state.mapPick) return;
+    if (!start || !end) {
+      dom.navSummary.textContent = `Pick a ${
+        start ? "destination" : "start"
+      } on the map.`;
+      return;
+    }
+    const route = planVerticalRoute(start, end, state.nav);
+    if (!route) {
+      dom.navSummary.textContent =
+        "No route found. Try a longer max rooftop walk.";
+      return;
+    }
+    const connectors = route.steps.filter((step) => step.kind === "climb");
+    dom.navSummary.textContent = `${route.walked.toFixed(2)} units walked · ${
+      connectors.length
+    } ladder/elevator use(s)`;
+    let legNumber = 0;
+    route.steps.forEach((step) => {
+      if (step.kind === "walk") {
+        legNumber += 1;
+        const row = document.createElement("div");
+        row.className = "leg-row";
+        row.textContent = `Leg ${legNumber}: walk on ${
+          step.level === "roof" ? "rooftops" : "street"
+        }`;
+        const meta = document.createElement("span");
+        meta.className = "result-meta";
+        meta.textContent = `${step.units.toFixed(2)}u`;
+        row.appendChild(meta);
+        dom.navSteps.appendChild(row);
+        if (layer) {
+          L.polyline([step.from, step.to], {
+            color: step.level === "roof" ? "#fb923c" : "#22d3ee",
+            weight: 4,
+            dashArray: step.level === "roof" ? "8 6" : null,
+            interactive: false,
+          }).addTo(layer);
         }
-        updateIconScales();
+        return;
+      }
+      const { connector, up } = step;
+      const verb = connector.type === "elevator" ? "Ride" : "Climb";
+      dom.navSteps.appendChild(
+        buildResultItem(
+          connector,
+          `${verb} ${connector.type} ${up ? "up to rooftops" : "down to street"}`
+        )
+      );
+      if (layer) {
+        L.marker([connector.lat, connector.lng], {
+          icon: L.divIcon({
+            className: "nav-connector",
+            html: up ? "▲" : "▼",
+            iconSize: [22, 22],
+          }),
+          interactive: false,
+          zIndexOffset: 660,
+        }).addTo(layer);
+      }
+    });
+  };
+
+  const drawNavEndpoint = (point, className) => {
+    L.marker([point.lat, point.lng], {
+      icon: L.divIcon({ className, iconSize: [18, 18] }),
+      interactive: false,
+      zIndexOffset: 670,
+    }).addTo(state.nav.layer);
+  };
+
+  /* Measurement (multi-segment paths) */
+  const initMeasureTools = () => {
+    state.measure.group = L.layerGroup().addTo(state.map);
+    state.pathsLayer = L.layerGroup().addTo(state.map);
+    resetMeasureArtifacts();
+    renderPaths();
+  };
+
+  const resetMeasureArtifacts = () => {
+    state.measure.points = [];
+    drawMeasurement();
+  };
+
+  const addMeasurePoint = (latlng) => {
+    state.measure.points.push(L.latLng(latlng.lat, latlng.lng));
+    drawMeasurement();
+  };
+
+  const removeMeasurePoint = (idx) => {
+    if (idx < 0 || idx >= state.measure.points.length) return;
+    state.measure.points.splice(idx, 1);
+    drawMeasurement();
+  };
+
+  // Per-leg and running distances in units for a chain of points
+  const getPathLegs = (points) => {
+    let total = 0;
+    return points.slice(1).map((to, idx) => {
+      const from = points[idx];
+      const units = Number(formatDistance(from, to).units);
+      total += units;
+      return { from, to, units, cumulative: total };
+    });
+  };
+
+  const createMeasureMarker = (latlng, idx) => {
+    const icon = L.divIcon({
+      className: idx === 0 ? "origin-marker" : "target-marker",
+      iconSize: [18, 18],
+    });
+    const marker = L.marker(latlng, {
+      draggable: true,
+      icon,
+      zIndexOffset: idx === 0 ? 600 : 590,
+      bubblingMouseEvents: false,
+    }).addTo(state.measure.group);
+    marker.on("drag", () => {
+      state.measure.points[idx] = marker.getLatLng();
+      state.measure.line?.setLatLngs(state.measure.points);
+    });
+    marker.on("dragend", () => {
+      state.measure.points[idx] = applySnap(marker.getLatLng());
+      drawMeasurement();
+    });
+    marker.on("contextmenu dblclick", (e) => {
+      L.DomEvent.stop(e);
+      removeMeasurePoint(idx);
+    });
+    return marker;
+  };
+
+  const drawMeasurement = () => {
+    if (!state.measure.group) return;
+    state.measure.group.clearLayers();
+    state.measure.line = null;
+    const points = state.measure.points;
+    points.forEach((pt, idx) => createMeasureMarker(pt, idx));
+    const legs = getPathLegs(points);
+    if (legs.length) {
+      state.measure.line = L.polyline(points, {
+        className: "measure-line",
+        color: "#5ad1f0",
+        interactive: false,
+      }).addTo(state.measure.group);
+      legs.forEach((leg) => addLegLabel(state.measure.group, leg));
+    }
+    const last = legs[legs.length - 1];
+    state.measure.lastPixels = last
+      ? last.cumulative * state.pixelsPerUnit
+      : null;
+    updateMeasureUI(legs);
+  };
+
+  const addLegLabel = (layer, leg) => {
+    const mid = L.latLng(
+      (leg.from.lat + leg.to.lat) / 2,
+      (leg.from.lng + leg.to.lng) / 2
+    );
+    L.marker(mid, {
+      icon: L.divIcon({
+        className: "measure-label",
+        html: `${leg.units.toFixed(2)}u · Σ ${leg.cumulative.toFixed(2)}u`,
+        iconSize: null,
+      }),
+      interactive: false,
+    }).addTo(layer);
+  };
+
+  const updateMeasureUI = (legs = []) => {
+    dom.measurePixels.textContent = state.measure.lastPixels
+      ? Number(state.measure.lastPixels).toFixed(1)
+      : "-";
+    const units = state.measure.lastPixels
+      ? (state.measure.lastPixels / state.pixelsPerUnit).toFixed(2)
+      : "-";
+    dom.measureUnits.textContent = units;
+    if (!dom.measureLegs) return;
+    dom.measureLegs.innerHTML = "";
+    legs.forEach((leg, idx) => {
+      const row = document.createElement("div");
+      row.className = "leg-row";
+      row.textContent = `Leg ${idx + 1}: ${leg.units.toFixed(2)}u`;
+      const total = document.createElement("span");
+      total.className = "result-meta";
+      total.textContent = `${leg.cumulative.toFixed(2)}u total`;
+      row.appendChild(total);
+      dom.measureLegs.appendChild(row);
+    });
+    const count = state.measure.points.length;
+    dom.measureSummary.textContent = count
+      ? `${count} point(s) · ${legs.length} leg(s) · ${units} units total`
+      : "Enable Measure (M) and click the map to chain points.";
+    dom.measureUndo.disabled = !count;
+    dom.measureClear.disabled = !count;
+    dom.savePath.disabled = count < 2;
+  };
+
+  /* Saved paths */
+  const normalizePath = (path, idx = 0) => {
+    const base = { ...path };
+    base.id = base.id || uuid("path");
+    base.name = base.name || `Path ${idx + 1}`;
+    base.hidden = Boolean(base.hidden);
+    base.points = Array.isArray(base.points)
+      ? base.points.map((p) => ({ lat: toUnits(p.lat), lng: toUnits(p.lng) }))
+      : [];
+    return base;
+  };
+
+  const saveMeasurePath = () => {
+    if (state.measure.points.length < 2) return;
+    const path = normalizePath(
+      {
+        name: dom.pathName.value.trim(),
+        points: state.measure.points.map((p) => ({ lat: p.lat, lng: p.lng })),
+      },
+      state.data.paths.length
+    );
+    state.data.paths.push(path);
+    dom.pathName.value = "";
+    resetMeasureArtifacts();
+    renderPaths();
+    recordChange("Save path", [pathChange(null, path)]);
+    persist();
+  };
+
+  const updatePath = (id, label, mutate) => {
+    const path = state.data.paths.find((p) => p.id === id);
+    if (!path) return;
+    const before = cloneData(path);
+    mutate(path);
+    renderPaths();
+    recordChange(label, [pathChange(before, path)]);
+    persist();
+  };
+
+  const deletePath = (id) => {
+    const path = state.data.paths.find((p) => p.id === id);
+    if (!path) return;
+    if (!confirm(`Delete saved path "${path.name}"?`)) return;
+    state.data.paths = state.data.paths.filter((p) => p.id !== id);
+    renderPaths();
+    recordChange("Delete path", [pathChange(path, null)]);
+    persist();
+  };
+
+  const renderPaths = () => {
+    if (state.pathsLayer) {
+      state.pathsLayer.clearLayers();
+      state.data.paths.forEach((path) => {
+        if (path.hidden || path.points.length < 2) return;
+        const line = L.polyline(path.points, {
+          color: "#f472b6",
+          weight: 3,
+          dashArray: "8 6",
+        }).addTo(state.pathsLayer);
+        const legs = getPathLegs(path.points);
+        const total = legs[legs.length - 1]?.cumulative || 0;
+        line.bindTooltip(`${escapeHtml(path.name)} · ${total.toFixed(2)}u`, {
+          sticky: true,
+        });
+        legs.forEach((leg) => addLegLabel(state.pathsLayer, leg));
       });
-      return marker;
     }
+    renderPathList();
+  };
+
+  const renderPathList = () => {
+    if (!dom.pathList) return;
+    dom.pathList.innerHTML = "";
+    state.data.paths.forEach((path) => {
+      const legs = getPathLegs(path.points);
+      const total = legs[legs.length - 1]?.cumulative || 0;
+      const row = document.createElement("div");
+      row.className = "anchor-row path-row";
+      row.innerHTML = `
+        <input type="text" data-field="name" />
+        <span class="result-meta"></span>
+        <button class="pill mini" data-action="focus">Go</button>
+        <button class="pill mini" data-action="hide"></button>
+        <button class="pill mini danger" data-action="delete">Delete</button>
+      `;
+      const nameInput = row.querySelector('[data-field="name"]');
+      nameInput.value = path.name;
+      row.querySelector(".result-meta").textContent = `${
+        legs.length
+      } leg(s) · ${total.toFixed(2)}u`;
+      const hideBtn = row.querySelector('[data-action="hide"]');
+      hideBtn.textContent = path.hidden ? "Show" : "Hide";
+      hideBtn.classList.toggle("toggle-off", path.hidden);
+      nameInput.addEventListener("change", () =>
+        updatePath(path.id, "Rename path", (p) => {
+          p.name = nameInput.value.trim() || p.name;
+        })
+      );
+      hideBtn.addEventListener("click", () =>
+        updatePath(path.id, path.hidden ? "Show path" : "Hide path", (p) => {
+          p.hidden = !p.hidden;
+        })
+      );
+      row
+        .querySelector('[data-action="focus"]')
+        .addEventListener("click", () => {
+          if (path.hidden) {
+            updatePath(path.id, "Show path", (p) => (p.hidden = false));
+          }
+          state.map?.flyToBounds(L.latLngBounds(path.points).pad(0.2));
+        });
+      row
+        .querySelector('[data-action="delete"]')
+        .addEventListener("click", () => deletePath(path.id));
+      dom.pathList.appendChild(row);
+    });
+  };
+
+  const exportPaths = () =>
+    state.data.paths.map(({ id, name, hidden, points }) => ({
+      id,
+      name,
+      hidden,
+      points,
+    }));
+
+  /* Zones (Wild Zones) */
+  const handleZoneClick = (latlng) => {
+    const snapped = applySnap(latlng);
+    const pts = state.zoneDrawing.points;
+    const markers = state.zoneDrawing.markers || [];
+    const closeThreshold = Math.max(state.gridSize || 1, 1);
+
+    if (!pts.length) {
+      addZonePoint(snapped, true);
+      drawTempZone();
+      return;
+    }
+
+    const first = pts[0];
+    const dist = snapped.distanceTo(first);
+    if (pts.length >= 3 && dist <= closeThreshold) {
+      finalizeZone();
+      return;
+    }
+
+    addZonePoint(snapped, false);
+    drawTempZone();
+  };
 
+  const addZonePoint = (latlng, isFirst) => {
+    state.zoneDrawing.points.push(latlng);
     const icon = L.divIcon({
-      className:
-        markerData.type === "shiny" ? "map-icon shiny-center" : "map-icon",
-      iconSize: [28, 28],
+      className: isFirst ? "zone-point first" : "zone-point",
+      iconSize: [14, 14],
       html: "",
     });
     const marker = L.marker(latlng, {
       icon,
-      draggable: state.editMode,
-      bubblingMouseEvents: false,
-    });
-    marker.on("add", () => {
-      const el = marker.getElement();
-      if (el) {
-        if (markerData.type === "shiny") {
-          el.style.backgroundImage = "";
-        } else {
-          el.style.backgroundImage = `url(${
-            ICONS[markerData.type] || ICONS.bench
-          })`;
-        }
-      }
-      updateIconScales();
-    });
-    return marker;
+      interactive: false,
+      zIndexOffset: 400,
+    }).addTo(state.zonesLayer);
+    state.zoneDrawing.markers = state.zoneDrawing.markers || [];
+    state.zoneDrawing.markers.push(marker);
   };
 
-  const setDraggability = (marker, enabled) => {
-    if (!marker?.dragging) return;
-    if (enabled) marker.dragging.enable();
-    else marker.dragging.disable();
-  };
+  const drawTempZone = () => {
+    const pts = state.zoneDrawing.points;
+    if (!pts.length) return;
+    if (state.zoneDrawing.tempLine)
+      state.zonesLayer.removeLayer(state.zoneDrawing.tempLine);
+    state.zoneDrawing.tempLine = L.polyline(pts, {
+      color: "#22c55e",
+      weight: 2,
+      dashArray: "6 6",
+    }).addTo(state.zonesLayer);
 
-  /* Marker CRUD */
-  const addMarkerAt = (latlng) => {
-    if (!state.currentTool) {
-      alert("Select Circle or Pokémon before adding.");
-      return;
+    if (state.zoneDrawing.tempPolygon)
+      state.zonesLayer.removeLayer(state.zoneDrawing.tempPolygon);
+    if (pts.length >= 3) {
+      state.zoneDrawing.tempPolygon = L.polygon(pts, {
+        color: "#22c55e",
+        weight: 1,
+        fillColor: "rgba(74, 222, 128, 0.15)",
+        fillOpacity: 0.3,
+        interactive: false,
+      }).addTo(state.zonesLayer);
+    } else {
+      state.zoneDrawing.tempPolygon = null;
     }
-    const spriteName =
-      state.currentTool === "sprite"
-        ? dom.stickerSelect.value || state.currentSticker || state.stickers[0]
-        : "";
-    if (state.currentTool === "sprite" && !spriteName) {
-      alert("Choose a sticker first.");
+  };
+
+  const finalizeZone = () => {
+    const pts = state.zoneDrawing.points;
+    if (pts.length < 3) {
+      resetZoneDrawing();
       return;
     }
-    if (state.currentTool === "sprite" && spriteName) {
-      state.currentSticker = spriteName;
-    }
-    const label =
-      dom.markerLabel.value.trim() ||
-      (state.currentTool === "sprite"
-        ? formatStickerLabel(spriteName)
-        : `${state.currentTool} marker`);
-    const marker = normalizeMarker(
-      {
-        type: state.currentTool,
-        label,
-        lat: latlng.lat,
-        lng: latlng.lng,
-        color: state.currentTool === "circle" ? state.currentColor : undefined,
-        sprite: state.currentTool === "sprite" ? spriteName : undefined,
-      },
-      "user"
-    );
-    state.data.userMarkers.push(marker);
-    if (marker.type === "circle" || marker.type === "sprite") {
-      state.data.customMarkers.push(marker);
-    }
-    placeMarker(marker);
-    ensureVisibilityFor(marker);
+    const number = parseInt(dom.zoneNumber.value, 10) || getNextZoneNumber();
+    const label = dom.zoneLabel.value.trim() || `Zone ${number}`;
+    const zone = normalizeZone({
+      id: uuid("zone"),
+      label,
+      number,
+      points: pts.map((p) => ({ lat: p.lat, lng: p.lng })),
+    });
+    state.data.zones.push(zone);
+    renderZones();
+    recordChange("Add zone", [zoneChange(null, zone)]);
     persist();
+    resetZoneDrawing();
+    dom.zoneNumber.value = getNextZoneNumber();
   };
 
-  const ensureVisibilityFor = (marker) => {
-    if (marker.source === "user") {
-      state.visibility.users = true;
-      dom.toggleUsers.classList.add("active");
-      dom.toggleUsers.classList.remove("toggle-off");
-    }
-    const typeMap = {
-      bench: ["layerBenches", "benches"],
-      ladder: ["layerLadders", "ladders"],
-      elevator: ["layerElevators", "elevators"],
-      circle: ["toggleUsers", "users"],
-      sprite: ["toggleUsers", "users"],
-    };
-    const [control, key] = typeMap[marker.type] || [];
-    if (control && dom[control]) {
-      dom[control].classList.add("active");
-      dom[control].classList.remove("toggle-off");
-    }
-    if (key) state.visibility[key] = true;
-    refreshLayerVisibility();
+  const resetZoneDrawing = () => {
+    if (state.zoneDrawing.tempLine)
+      state.zonesLayer.removeLayer(state.zoneDrawing.tempLine);
+    if (state.zoneDrawing.tempPolygon)
+      state.zonesLayer.removeLayer(state.zoneDrawing.tempPolygon);
+    (state.zoneDrawing.markers || []).forEach((m) =>
+      state.zonesLayer.removeLayer(m)
+    );
+    state.zoneDrawing.tempLine = null;
+    state.zoneDrawing.tempPolygon = null;
+    state.zoneDrawing.points = [];
+    state.zoneDrawing.markers = [];
   };
 
-  const updateMarkerPosition = (id, latlng) => {
-    const record = state.markersIndex.get(id);
-    if (!record) return;
-    record.data.lat = latlng.lat;
-    record.data.lng = latlng.lng;
-    if (record.rings?.length) {
-      record.rings.forEach((r) => r.setLatLng(latlng));
-    }
-    persist();
+  const renderZones = () => {
+    if (!state.zonesLayer) return;
+    state.zonesLayer.clearLayers();
+    state.zoneEdit.polygon = null;
+    if (!state.visibility.zones) return;
+    const editing = state.zoneEdit.active;
+    let selectedZone = null;
+    (state.data.zones || []).forEach((zone) => {
+      if (!zone.points?.length) return;
+      const selected = editing && state.zoneEdit.zoneId === zone.id;
+      const polygon = L.polygon(zone.points, {
+        color: selected ? "#38bdf8" : "#22c55e",
+        weight: 2,
+        fillColor: "rgba(74, 222, 128, 0.2)",
+        fillOpacity: 0.35,
+        interactive: editing,
+        bubblingMouseEvents: false,
+      }).addTo(state.zonesLayer);
+      if (editing) {
+        polygon.on("click", (e) => selectZone(zone.id, e.latlng));
+      }
+      if (selected) {
+        state.zoneEdit.polygon = polygon;
+        selectedZone = zone;
+      }
+      const centroid = polygon.getBounds().getCenter();
+      const icon = L.divIcon({
+        className: "zone-badge",
+        html: escapeHtml(zone.number || ""),
+        iconSize: [26, 26],
+      });
+      L.marker(centroid, { icon, interactive: false }).addTo(state.zonesLayer);
+    });
+    if (selectedZone) drawZoneHandles(selectedZone);
   };
 
-  const deleteMarker = (id) => {
-    const record = state.markersIndex.get(id);
-    if (!record) return;
-    if (record.data.locked) return;
-    if (record.data.source === "preset") {
-      const ok = confirm(
-        "Delete preset marker? This will remove it from exports."
-      );
-      if (!ok) return;
+  /* Zone editing */
+  const setZoneEditMode = (on) => {
+    state.zoneEdit.active = on;
+    dom.zoneEditBtn.classList.toggle("active", on);
+    if (on) {
+      setAddMode(false);
+      setMeasureMode(false);
+      setDeleteMode(false);
+      setZoneMode(false);
+    } else {
+      state.zoneEdit.zoneId = null;
     }
-    if (record.view) record.view.remove();
-    state.markersIndex.delete(id);
-    const arr =
-      record.data.source === "preset"
-        ? state.data.presetMarkers
-        : state.data.userMarkers;
-    const idx = arr.findIndex((m) => m.id === id);
-    if (idx >= 0) arr.splice(idx, 1);
-    if (record.data.type === "circle" || record.data.type === "sprite") {
-      const cIdx = state.data.customMarkers.findIndex((m) => m.id === id);
-      if (cIdx >= 0) state.data.customMarkers.splice(cIdx, 1);
-    }
-    if (state.selection === id) {
-      state.selection = null;
-      dom.inspectorLabel.value = "";
-      dom.inspectorColor.value = "#4fc3f7";
-      dom.inspectorType.value = "bench";
+    renderZones();
+  };
+
+  const selectZone = (id, latlng) => {
+    state.zoneEdit.zoneId = id;
+    renderZones();
+    const zone = (state.data.zones || []).find((z) => z.id === id);
+    if (!zone) {
+      state.zoneEdit.zoneId = null;
+      if (state.map) state.map.closePopup();
+      return;
     }
+    const anchor = latlng || state.zoneEdit.polygon?.getBounds().getCenter();
+    if (!anchor) return;
+    L.popup({ minWidth: 220 })
+      .setLatLng(anchor)
+      .setContent(buildZonePopupContent(zone))
+      .openOn(state.map);
+  };
+
+  const drawZoneHandles = (zone) => {
+    const points = zone.points;
+    const makeIcon = (className) =>
+      L.divIcon({ className, iconSize: [14, 14], html: "" });
+    points.forEach((pt, idx) => {
+      const handle = L.marker(pt, {
+        icon: makeIcon("zone-handle"),
+        draggable: true,
+        zIndexOffset: 900,
+        bubblingMouseEvents: false,
+      }).addTo(state.zonesLayer);
+      handle.on("drag", () => {
+        const preview = points.map((p, i) =>
+          i === idx ? handle.getLatLng() : p
+        );
+        state.zoneEdit.polygon?.setLatLngs(preview);
+      });
+      handle.on("dragend", () => {
+        const snapped = applySnap(handle.getLatLng());
+        updateZone(zone.id, "Move zone point", (z) => {
+          z.points[idx] = { lat: snapped.lat, lng: snapped.lng };
+        });
+      });
+      handle.on("contextmenu dblclick", (e) => {
+        L.DomEvent.stop(e);
+        removeZonePoint(zone.id, idx);
+      });
+    });
+    points.forEach((pt, idx) => {
+      const next = points[(idx + 1) % points.length];
+      const mid = L.latLng((pt.lat + next.lat) / 2, (pt.lng + next.lng) / 2);
+      const handle = L.marker(mid, {
+        icon: makeIcon("zone-handle midpoint"),
+        draggable: true,
+        zIndexOffset: 850,
+        bubblingMouseEvents: false,
+      }).addTo(state.zonesLayer);
+      const insertAt = (latlng) => {
+        const snapped = applySnap(latlng);
+        updateZone(zone.id, "Add zone point", (z) => {
+          z.points.splice(idx + 1, 0, { lat: snapped.lat, lng: snapped.lng });
+        });
+      };
+      handle.on("click", () => insertAt(mid));
+      handle.on("dragend", () => insertAt(handle.getLatLng()));
+    });
+  };
+
+  const updateZone = (id, label, mutate) => {
+    const zone = (state.data.zones || []).find((z) => z.id === id);
+    if (!zone) return;
+    const before = cloneData(zone);
+    mutate(zone);
+    renderZones();
+    recordChange(label, [zoneChange(before, zone)]);
     persist();
   };
 
-  const applyInspectorEdits = () => {
-    if (!state.editMode) {
-      alert("Enable Edit mode to apply changes.");
+  const removeZonePoint = (id, idx) => {
+    const zone = (state.data.zones || []).find((z) => z.id === id);
+    if (!zone) return;
+    if (zone.points.length <= 3) {
+      alert("A Wild Zone needs at least 3 points.");
       return;
     }
-    const record = state.markersIndex.get(state.selection);
-    if (!record || record.data.locked) {
-      alert("This marker is locked and cannot be edited.");
+    updateZone(id, "Remove zone point", (z) => z.points.splice(idx, 1));
+  };
+
+  const editZone = (id, { label, number }) => {
+    const zone = (state.data.zones || []).find((z) => z.id === id);
+    if (!zone) return;
+    const num = parseInt(number, 10);
+    if (!num || num < 1 || num > 99) {
+      alert("Enter a number between 1 and 99.");
       return;
     }
-    if (!state.selection) return;
-    const nextType = dom.inspectorType.value;
-    const nextLabel = dom.inspectorLabel.value.trim() || record.data.label;
-    const nextColor = dom.inspectorColor.value;
-    const nextSprite =
-      nextType === "sprite"
-        ? dom.inspectorSticker.value || record.data.sprite
-        : undefined;
-    const latlng = record.marker?.getLatLng?.();
-    if (!latlng) return;
-    const updated = normalizeMarker(
-      {
-        ...record.data,
-        type: nextType,
-        label:
-          nextLabel ||
-          (nextType === "sprite"
-            ? formatStickerLabel(nextSprite)
-            : record.data.label),
-        color: nextType === "circle" ? nextColor : undefined,
-        sprite: nextSprite,
-        lat: latlng.lat,
-        lng: latlng.lng,
-      },
-      record.data.source
-    );
-    deleteMarker(record.data.id);
-    const targetArr =
-      updated.source === "preset"
-        ? state.data.presetMarkers
-        : state.data.userMarkers;
-    targetArr.push(updated);
-    if (updated.type === "circle" || updated.type === "sprite") {
-      state.data.customMarkers.push(updated);
-    } else {
-      const idx = state.data.customMarkers.findIndex(
-        (m) => m.id === updated.id
-      );
-      if (idx >= 0) state.data.customMarkers.splice(idx, 1);
-    }
-    placeMarker(updated);
-    selectMarker(updated.id);
-    ensureVisibilityFor(updated);
+    updateZone(id, "Edit zone", (z) => {
+      z.label = (label || "").trim() || z.label;
+      z.number = num;
+    });
+    selectZone(id);
+  };
+
+  const deleteZone = (id) => {
+    const idx = (state.data.zones || []).findIndex((z) => z.id === id);
+    if (idx < 0) return;
+    if (!confirm("Delete this Wild Zone?")) return;
+    const [zone] = state.data.zones.splice(idx, 1);
+    if (state.zoneEdit.zoneId === id) state.zoneEdit.zoneId = null;
+    if (state.map) state.map.closePopup();
+    renderZones();
+    recordChange("Delete zone", [zoneChange(zone, null)]);
     persist();
   };
 
-  /* Popup builder */
-  const buildPopupContent = (markerData) => {
+  const buildZonePopupContent = (zone) => {
     const container = document.createElement("div");
     container.innerHTML = `
-      <div style="margin-bottom:6px;"><strong>${markerData.label}</strong></div>
-      <div class="hint">${markerData.type} • ${markerData.source}</div>
+      <div style="margin-bottom:6px;"><strong>${escapeHtml(
+        zone.label
+      )}</strong></div>
+      <div class="hint">Wild Zone • ${zone.points.length} points</div>
+      <div class="popup-fields">
+        <label>Label <input type="text" data-field="label" /></label>
+        <label>Zone # <input type="number" min="1" max="99" data-field="number" /></label>
+      </div>
       <div style="margin-top:8px; display:flex; gap:6px; flex-wrap:wrap;">
-        <button data-action="edit"${
-          markerData.locked ? " disabled" : ""
-        }>Edit</button>
-        <button data-action="delete" class="danger"${
-          markerData.locked ? " disabled" : ""
-        }>Delete</button>
+        <button data-action="save">Save</button>
+        <button data-action="delete" class="danger">Delete zone</button>
+      </div>
+      <div class="hint" style="margin-top:6px;">
+        Drag points to reshape. Click or drag a small midpoint to add a point;
+        double-click or right-click a point to remove it.
       </div>
     `;
+    const labelInput = container.querySelector('[data-field="label"]');
+    const numberInput = container.querySelector('[data-field="number"]');
+    labelInput.value = zone.label || "";
+    numberInput.value = zone.number || 1;
     container.querySelectorAll("button").forEach((btn) => {
       btn.addEventListener("click", (e) => {
         const action = e.currentTarget.dataset.action;
-        if (action === "edit") {
-          selectMarker(markerData.id);
-          dom.inspectorLabel.focus();
+        if (action === "save") {
+          editZone(zone.id, {
+            label: labelInput.value,
+            number: numberInput.value,
+          });
         }
-        if (action === "delete") deleteMarker(markerData.id);
+        if (action === "delete") deleteZone(zone.id);
       });
     });
     return container;
   };
 
-  const selectMarker = (id) => {
-    if (state.selection === id) return;
-    if (state.selection) {
-      const prev = state.markersIndex
-        .get(state.selection)
-        ?.marker?.getElement();
-      if (prev) prev.classList.remove("selected");
-    }
-    state.selection = id;
-    const record = state.markersIndex.get(id);
-    if (!record) return;
-    const el = record.marker?.getElement();
-    if (el) el.classList.add("selected");
-    dom.inspectorLabel.value = record.data.label || "";
-    dom.inspectorType.value = record.data.type;
-    dom.inspectorColor.value = record.data.color || "#4fc3f7";
-    if (record.data.type === "sprite" && record.data.sprite) {
-      dom.inspectorSticker.value = record.data.sprite;
-    }
-    updateInspectorStickerVisibility(record.data.type);
-  };
-
-  /* Modes */
-  const setMeasureMode = (on) => {
-    state.measureMode = on;
-    dom.measureBtn.classList.toggle("active", on);
-    resetMeasureArtifacts();
-    if (on) {
-      state.addMode = false;
-      state.measureBtn.blur();
-      dom.addBtn.classList.remove("active");
-      setDeleteMode(false);
-    }
-  };
-
-  const setAddMode = (on) => {
-    state.addMode = on;
-    dom.addBtn.classList.toggle("active", on);
-    if (on) {
-      state.measureMode = false;
-      dom.measureBtn.classList.remove("active");
-      setDeleteMode(false);
-      setZoneMode(false);
-    }
-  };
-
-  const setEditMode = (on) => {
-    state.editMode = on;
-    dom.editBtn.classList.toggle("active", on);
-    state.markersIndex.forEach(({ marker }) => setDraggability(marker, on));
-    if (on) {
-      setDeleteMode(false);
-      setZoneMode(false);
-    } else {
-      setDeleteMode(false);
-    }
-    updateDeleteButtonVisibility();
+  const getNextZoneNumber = () => {
+    const nums = (state.data.zones || []).map((z) => z.number || 0);
+    const max = nums.length ? Math.max(...nums) : 0;
+    return Math.min(max + 1, 99);
   };
 
-  const setDeleteMode = (on) => {
-    if (!state.editMode) on = false;
-    state.deleteMode = on;
-    dom.deleteBtn.classList.toggle("active", on);
-    if (on) {
-      state.addMode = false;
-      state.measureMode = false;
-      setZoneMode(false);
-      dom.addBtn.classList.remove("active");
-      dom.measureBtn.classList.remove("active");
-    }
-  };
+  /* Shortcuts */
+  const handleShortcuts = (e) => {
+    const activeTag = document.activeElement?.tagName;
+    if (["INPUT", "TEXTAREA", "SELECT"].includes(activeTag)) return;
 
-  const updateDeleteButtonVisibility = () => {
-    const show = state.editMode;
-    dom.deleteBtn.classList.toggle("hidden", !show);
-    if (!show) {
-      dom.deleteBtn.classList.remove("active");
-      state.deleteMode = false;
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      if (key === "z" || key === "y") {
+        e.preventDefault();
+        if (key === "y" || e.shiftKey) redo();
+        else undo();
+        return;
+      }
     }
-  };
+    // Leave browser and OS combos (Ctrl+R reload, Alt+P…) to the browser
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
 
-  const setCurrentTool = (tool) => {
-    const next =
-      tool === "sprite" ? "sprite" : tool === "circle" ? "circle" : null;
-    // Toggle off if clicking the active tool
-    state.currentTool = next === state.currentTool ? null : next;
-    if (dom.typeCircle && dom.typeSprite) {
-      const isCircle = state.currentTool === "circle";
-      const isSprite = state.currentTool === "sprite";
-      dom.typeCircle.classList.toggle("active", isCircle);
-      dom.typeSprite.classList.toggle("active", isSprite);
-      dom.typeCircle.classList.toggle("toggle-off", !isCircle);
-      dom.typeSprite.classList.toggle("toggle-off", !isSprite);
-    }
-    if (
-      state.currentTool === "sprite" &&
-      !state.currentSticker &&
-      state.stickers.length
-    ) {
-      state.currentSticker = state.stickers[0];
-      dom.stickerSelect.value = state.currentSticker;
+    switch (e.key.toLowerCase()) {
+      case "m":
+        setMeasureMode(!state.measureMode);
+        break;
+      case "p":
+        setAddMode(!state.addMode);
+        break;
+      case "e":
+        setEditMode(!state.editMode);
+        break;
+      case "1":
+      case "2":
+      case "3":
+      case "4":
+        setCurrentTool("circle");
+        break;
+      case "z":
+        setZoneEditMode(!state.zoneEdit.active);
+        break;
+      case "r":
+        if (!logSessionReset(e.shiftKey ? -1 : 1)) return;
+        break;
+      case "escape":
+        cancelMapPick();
+        closeResetModal();
+        closeImportModal();
+        closeValidationModal();
+        if (state.map) state.map.closePopup();
+        setAddMode(false);
+        if (state.zoneEdit.zoneId) selectZone(null);
+        if (state.bulk.ids.size) clearBulkSelection();
+        break;
+      case "delete":
+      case "backspace":
+        if (state.editMode && state.bulk.ids.size) deleteBulk();
+        else if (state.editMode && state.selection) {
+          deleteMarker(state.selection);
+        }
+        break;
+      default:
+        return;
     }
-    updateAddStickerVisibility();
-  };
-
-  const toggleLayer = (key, btn) => {
-    state.visibility[key] = !state.visibility[key];
-    btn.classList.toggle("active", state.visibility[key]);
-    btn.classList.toggle("toggle-off", !state.visibility[key]);
-    refreshLayerVisibility();
   };
 
-  const updateAddStickerVisibility = () => {
-    const isSprite = state.currentTool === "sprite";
-    const isCircle = state.currentTool === "circle";
-    const colorRow = dom.markerColor?.closest(".field-row");
-    const stickerRow = dom.stickerSelect?.closest(".field-row");
-    if (colorRow) colorRow.classList.toggle("disabled", !isCircle);
-    if (stickerRow) stickerRow.classList.toggle("disabled", !isSprite);
-    if (dom.markerColor) dom.markerColor.disabled = !isCircle;
-    if (dom.stickerSelect) dom.stickerSelect.disabled = !isSprite;
-    if (isSprite && dom.stickerSelect && !dom.stickerSelect.value) {
-      dom.stickerSelect.value = state.currentSticker || state.stickers[0] || "";
+  /* Export + storage */
+  const collectMarkers = (scope) => {
+    let markers = [];
+    if (scope === "all" || scope === "preset")
+      markers = markers.concat(state.data.presetMarkers);
+    if (scope === "all" || scope === "user") {
+      const usersOnly = state.data.userMarkers.filter(
+        (m) =>
+          m.source === "user" &&
+          !m.locked &&
+          (m.type === "circle" || m.type === "sprite")
+      );
+      markers = markers.concat(usersOnly);
     }
+    const sorted = markers.slice().sort((a, b) => {
+      if (a.type === b.type) return a.label.localeCompare(b.label);
+      return a.type.localeCompare(b.type);
+    });
+    return {
+      markers: sorted.map(({ source, ...rest }) => rest),
+      zones: exportZones(state.data.zones),
+      anchors: exportAnchors(),
+      paths: exportPaths(),
+      route: exportRoute(),
+    };
   };
 
-  const updateInspectorStickerVisibility = (type) => {
-    const isSprite = type === "sprite";
-    dom.inspectorColor
-      ?.closest(".field-row")
-      ?.classList.toggle("hidden", isSprite);
-    dom.inspectorSticker
-      ?.closest(".field-row")
-      ?.classList.toggle("hidden", !isSprite);
-    if (isSprite && dom.inspectorSticker && !dom.inspectorSticker.value) {
-      dom.inspectorSticker.value =
-        state.currentSticker || state.stickers[0] || "";
-    }
-  };
+  const exportZones = (zones) =>
+    (zones || []).map((z) => ({
+      id: z.id,
+      label: z.label,
+      number: z.number,
+      points: z.points,
+    }));
 
-  const toggleShinyRing = (index, btn) => {
-    state.shiny.visible[index] = !state.shiny.visible[index];
-    syncShinyRingButtons();
-    applyShinyVisibility();
+  const buildUserExport = () => {
+    const markers = (state.data.customMarkers || []).map(
+      ({ source, ...rest }) => rest
+    );
+    return {
+      markers,
+      zones: exportZones(state.data.zones),
+      anchors: exportAnchors(),
+      paths: exportPaths(),
+      route: exportRoute(),
+    };
   };
 
-  const syncShinyRingButtons = () => {
-    const buttons = [
-      [dom.toggleRing50, "50u", state.shiny.visible[0] !== false],
-      [dom.toggleRing70, "70u", state.shiny.visible[1] !== false],
-    ];
-    buttons.forEach(([btn, label, on]) => {
-      if (!btn) return;
-      btn.classList.toggle("active", on);
-      btn.classList.toggle("toggle-off", !on);
-      btn.textContent = on ? "Hide" : "Show";
+  const downloadMarkers = (scope) => {
+    const data = scope === "user" ? buildUserExport() : collectMarkers(scope);
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
     });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = scope === "all" ? "markers.json" : `${scope}-markers.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
   };
-
-  const setZoneMode = (on) => {
-    state.zoneDrawing.active = on;
-    dom.zoneBtn.classList.toggle("active", on);
-    if (on) {
-      state.addMode = false;
-      state.measureMode = false;
-      setDeleteMode(false);
-      dom.addBtn.classList.remove("active");
-      dom.measureBtn.classList.remove("active");
-      resetZoneDrawing();
-      dom.zoneNumber.value = getNextZoneNumber();
-    } else {
-      resetZoneDrawing();
-    }
+
+  /* GeoJSON (coordinates stay in CRS.Simple map units: [lng, lat]) */
+  const toPosition = (p) => [p.lng, p.lat];
+  const fromPosition = (pos) => ({ lat: Number(pos[1]), lng: Number(pos[0]) });
+
+  const buildGeoJson = () => {
+    const { markers, zones, anchors } = buildUserExport();
+    const features = [
+      ...markers.map(({ lat, lng, ...props }) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: toPosition({ lat, lng }) },
+        properties: { kind: "marker", ...props },
+      })),
+      // A GeoJSON ring needs 3 corners plus the closing point
+      ...zones
+        .filter((zone) => zone.points?.length >= 3)
+        .map(({ points, ...props }) => ({
+          type: "Feature",
+          geometry: {
+            type: "Polygon",
+            coordinates: [[...points, points[0]].map(toPosition)],
+          },
+          properties: { kind: "zone", ...props },
+        })),
+      ...anchors
+        .filter((anchor) => anchor.center)
+        .map(({ center, ...props }) => ({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: toPosition(center) },
+          properties: { kind: "anchor", ...props },
+        })),
+    ];
+    return {
+      type: "FeatureCollection",
+      // Not geographic: x = lng, y = lat in the map image's CRS.Simple units
+      crs: { type: "name", properties: { name: "L.CRS.Simple" } },
+      features,
+    };
   };
 
-  /* Map interactions */
-  const handleMapClick = (e) => {
-    if (state.measureMode) {
-      const snapped = applySnap(e.latlng);
-      if (!state.measure.origin) {
-        state.measure.origin = createMeasureMarker(snapped, "origin");
+  // Turns a FeatureCollection back into the app's {markers, zones, anchors}.
+  // Untagged Points import as circles and untagged Polygons as zones.
+  const fromGeoJson = (geojson) => {
+    const features =
+      geojson.type === "Feature" ? [geojson] : geojson.features || [];
+    const markers = [];
+    const zones = [];
+    const anchors = [];
+    features.forEach((feature) => {
+      const { geometry } = feature || {};
+      const { kind, ...props } = feature?.properties || {};
+      if (!geometry) return;
+      if (geometry.type === "Point") {
+        const point = fromPosition(geometry.coordinates);
+        if (kind === "anchor") {
+          anchors.push({ ...props, center: point });
+        } else {
+          markers.push({ type: "circle", ...props, ...point });
+        }
         return;
       }
-      if (!state.measure.target) {
-        state.measure.target = createMeasureMarker(snapped, "target");
-        drawMeasurement(snapped);
-        return;
+      const ring =
+        geometry.type === "Polygon"
+          ? geometry.coordinates[0]
+          : geometry.type === "MultiPolygon"
+            ? geometry.coordinates[0]?.[0]
+            : null;
+      if (!ring) return;
+      const points = ring.map(fromPosition);
+      const [first] = points;
+      const last = points[points.length - 1];
+      if (first && first.lat === last.lat && first.lng === last.lng) {
+        points.pop();
       }
-      state.measure.target.setLatLng(snapped);
-      drawMeasurement(snapped);
-      return;
-    }
-    if (state.zoneDrawing.active) {
-      handleZoneClick(e.latlng);
-      return;
+      zones.push({ ...props, points });
+    });
+    return {
+      markers,
+      zones: zones.length ? zones : undefined,
+      anchors: anchors.length ? anchors : undefined,
+    };
+  };
+
+  const downloadGeoJson = () => {
+    const blob = new Blob([JSON.stringify(buildGeoJson(), null, 2)], {
+      type: "application/geo+json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "custom-markers.geojson";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const copyMarkers = async () => {
+    const data = buildUserExport();
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(data, null, 2));
+      alert("Copied custom markers JSON to clipboard");
+    } catch (err) {
+      alert("Clipboard unavailable");
     }
-    if (state.deleteMode) return; // deletion handled via marker clicks
-    if (!state.addMode) return;
-    const snapped = applySnap(e.latlng);
-    addMarkerAt(snapped);
   };
 
-  const applySnap = (latlng) => {
-    if (!state.snap) return latlng;
-    const g = state.gridSize || 1;
-    const snapVal = (v) => Math.round(v / g) * g;
-    return L.latLng(snapVal(latlng.lat), snapVal(latlng.lng));
+  const handleImportUsers = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        let parsed = JSON.parse(reader.result);
+        if (
+          parsed?.type === "FeatureCollection" ||
+          parsed?.type === "Feature"
+        ) {
+          parsed = fromGeoJson(parsed);
+        }
+        openImportModal(readImportFile(parsed), file.name);
+      } catch (err) {
+        alert("Import failed. Please provide a valid markers JSON.");
+        console.warn("Import failed", err);
+      } finally {
+        e.target.value = "";
+      }
+    };
+    reader.readAsText(file);
   };
 
-  /* Shiny radius (always visible) */
-  const createOrUpdateShiny = (center) => {
-    if (!state.map) return;
-    if (!state.shiny.layer) state.shiny.layer = L.layerGroup().addTo(state.map);
-    const layer = state.shiny.layer;
-    if (state.shiny.marker) layer.removeLayer(state.shiny.marker);
-    state.shiny.rings.forEach((r) => layer.removeLayer(r));
-    state.shiny.rings = [];
+  // Validates and normalizes an imported file; sections missing from it stay
+  // null. Invalid markers and zones are dropped and listed in problems.
+  const readImportFile = (parsed) => {
+    const isObject = parsed && typeof parsed === "object";
+    const pick = (key) =>
+      isObject && Array.isArray(parsed[key]) ? parsed[key] : null;
+    const rawMarkers = Array.isArray(parsed) ? parsed : pick("markers") || [];
+    const { markers, zones, problems } = validateDataFile(
+      rawMarkers,
+      Array.isArray(parsed) ? null : pick("zones")
+    );
+    return {
+      problems,
+      markers: markers
+        .map((m) =>
+          normalizeMarker({ ...m, source: "user", locked: false }, "user")
+        )
+        .filter((m) => m.type === "circle" || m.type === "sprite"),
+      zones: zones?.map((z) => normalizeZone(z)) || null,
+      anchors: pick("anchors")?.map(normalizeAnchor) || null,
+      paths: pick("paths")?.map(normalizePath) || null,
+      route: isObject && parsed.route ? normalizeRoute(parsed.route) : null,
+    };
+  };
 
-    const icon = L.divIcon({
-      className: "map-icon shiny-center",
-      iconSize: [18, 18],
-      html: "",
-    });
-    const marker = L.marker(center, {
-      draggable: true,
-      icon,
-      zIndexOffset: 800,
-    }).addTo(layer);
-    marker.on("dragend", () => {
-      const snapped = applySnap(marker.getLatLng());
-      marker.setLatLng(snapped);
-      state.shiny.center = snapped;
-      updateShinyRings();
-      persist();
-    });
+  const zoneCentroid = (zone) => ({
+    lat: zone.points.reduce((sum, p) => sum + p.lat, 0) / zone.points.length,
+    lng: zone.points.reduce((sum, p) => sum + p.lng, 0) / zone.points.length,
+  });
 
-    const rings = SHINY_DIAMETERS_UNITS.map((diameterUnits, idx) =>
-      L.circle(center, {
-        radius: (diameterUnits / 2) * state.pixelsPerUnit,
-        color: idx === 0 ? "#ffff0aff" : "#ef4444",
-        weight: 3,
-        dashArray: null,
-        fill: false,
-        interactive: false,
-      }).addTo(layer)
+  const sameMarker = (a, b) =>
+    ["type", "label", "lat", "lng", "color", "sprite"].every(
+      (key) => a[key] === b[key]
     );
 
-    state.shiny.marker = marker;
-    state.shiny.rings = rings;
-    state.shiny.center = center;
-    updateIconScales();
-    applyShinyVisibility();
-  };
+  const sameZone = (a, b) =>
+    a.label === b.label &&
+    a.number === b.number &&
+    JSON.stringify(a.points) === JSON.stringify(b.points);
 
-  const updateShinyRings = () => {
-    if (!state.shiny.marker) return;
-    const center = state.shiny.center || state.shiny.marker.getLatLng();
-    state.shiny.center = center;
-    state.shiny.marker.setLatLng(center);
-    state.shiny.rings.forEach((ring, idx) => {
-      ring.setLatLng(center);
-      const diameterUnits =
-        SHINY_DIAMETERS_UNITS[idx] || SHINY_DIAMETERS_UNITS[0];
-      ring.setRadius((diameterUnits / 2) * state.pixelsPerUnit);
+  // Sorts incoming items into added / updated / skipped for one import mode.
+  // Merge matches by id first, then by a nearby item that isDuplicate accepts.
+  const planSection = (
+    current,
+    incoming,
+    mode,
+    { same, isDuplicate, prefix }
+  ) => {
+    const plan = { added: [], updated: [], skipped: [], removed: 0, next: [] };
+    if (mode === "replace") {
+      const currentIds = new Set(current.map((item) => item.id));
+      incoming.forEach((item) => {
+        if (currentIds.has(item.id)) plan.updated.push(item);
+        else plan.added.push(item);
+      });
+      plan.removed = current.filter(
+        (item) => !incoming.some((next) => next.id === item.id)
+      ).length;
+      plan.next = incoming.slice();
+      return plan;
+    }
+    const next = current.slice();
+    incoming.forEach((item) => {
+      const idx = next.findIndex((existing) => existing.id === item.id);
+      if (mode === "append") {
+        const copy = idx >= 0 ? { ...item, id: uuid(prefix) } : item;
+        plan.added.push(copy);
+        next.push(copy);
+        return;
+      }
+      if (idx >= 0) {
+        if (same(next[idx], item)) {
+          plan.skipped.push({ item, reason: "unchanged" });
+        } else {
+          plan.updated.push(item);
+          next[idx] = item;
+        }
+        return;
+      }
+      const duplicate = next.find((existing) => isDuplicate(existing, item));
+      if (duplicate) {
+        plan.skipped.push({
+          item,
+          reason: `duplicate of “${duplicate.label}”`,
+        });
+        return;
+      }
+      plan.added.push(item);
+      next.push(item);
     });
-    applyShinyVisibility();
+    plan.next = next;
+    return plan;
   };
 
-  const applyShinyVisibility = () => {
-    if (!state.shiny.layer) return;
-    state.shiny.rings.forEach((ring, idx) => {
-      if (!ring) return;
-      const show = state.shiny.visible[idx] !== false;
-      if (show) {
-        if (!state.shiny.layer.hasLayer(ring)) ring.addTo(state.shiny.layer);
-      } else if (state.shiny.layer.hasLayer(ring)) {
-        state.shiny.layer.removeLayer(ring);
+  const planImport = (incoming, mode) => {
+    const markers = planSection(
+      state.data.userMarkers,
+      incoming.markers,
+      mode,
+      {
+        prefix: "usr",
+        same: sameMarker,
+        isDuplicate: (a, b) =>
+          a.type === b.type && unitsBetween(a, b) <= IMPORT_DEDUPE_UNITS,
       }
-    });
+    );
+    const zones = incoming.zones
+      ? planSection(state.data.zones, incoming.zones, mode, {
+          prefix: "zone",
+          same: sameZone,
+          isDuplicate: (a, b) =>
+            a.number === b.number &&
+            unitsBetween(zoneCentroid(a), zoneCentroid(b)) <=
+              IMPORT_DEDUPE_UNITS,
+        })
+      : null;
+    // Anchors and paths have no positional duplicates; only ids are matched
+    const byIdOnly = { same: () => false, isDuplicate: () => false };
+    const anchors = incoming.anchors
+      ? planSection(state.shiny.anchors, incoming.anchors, mode, {
+          ...byIdOnly,
+          prefix: "shiny",
+        })
+      : null;
+    const paths = incoming.paths
+      ? planSection(state.data.paths, incoming.paths, mode, {
+          ...byIdOnly,
+          prefix: "path",
+        })
+      : null;
+    return { markers, zones, anchors, paths };
   };
 
-  const recenterShiny = () => {
-    if (!state.map) return;
-    const center = state.map.getCenter();
-    createOrUpdateShiny(center);
-    persist();
+  const openImportModal = (incoming, fileName) => {
+    state.importDraft = incoming;
+    dom.importSource.textContent = `${fileName}: ${
+      incoming.markers.length
+    } valid marker(s)${
+      incoming.zones ? `, ${incoming.zones.length} zone(s)` : ""
+    }${incoming.anchors ? `, ${incoming.anchors.length} anchor(s)` : ""}${
+      incoming.paths ? `, ${incoming.paths.length} path(s)` : ""
+    }`;
+    renderImportPreview();
+    dom.importModal.removeAttribute("hidden");
   };
 
-  /* Measurement */
-  const initMeasureTools = () => {
-    state.measure.group = L.layerGroup().addTo(state.map);
-    resetMeasureArtifacts();
+  const closeImportModal = () => {
+    state.importDraft = null;
+    dom.importModal?.setAttribute("hidden", "true");
   };
 
-  const resetMeasureArtifacts = () => {
-    if (state.measure.group) state.measure.group.clearLayers();
-    state.measure.origin = null;
-    state.measure.target = null;
-    state.measure.line = null;
-    state.measure.popup = null;
-    state.measure.lastTarget = null;
-    state.measure.lastPixels = null;
-    updateMeasureUI();
-  };
+  const getImportMode = () =>
+    dom.importModal.querySelector('input[name="import-mode"]:checked')?.value ||
+    "merge";
 
-  const createMeasureMarker = (latlng, type) => {
-    const icon = L.divIcon({
-      className: type === "origin" ? "origin-marker" : "target-marker",
-      iconSize: [18, 18],
-    });
-    const marker = L.marker(latlng, {
-      draggable: true,
-      icon,
-      zIndexOffset: type === "origin" ? 600 : 590,
-    }).addTo(state.measure.group);
-    marker.on("dragend", () => {
-      const snapped = applySnap(marker.getLatLng());
-      marker.setLatLng(snapped);
-      if (type === "origin") state.measure.origin = marker;
-      if (type === "target") state.measure.target = marker;
-      if (state.measure.origin && state.measure.target)
-        drawMeasurement(state.measure.target.getLatLng());
+  const renderImportPreview = () => {
+    if (!state.importDraft) return;
+    const plan = planImport(state.importDraft, getImportMode());
+    dom.importPreview.innerHTML = "";
+    const { problems } = state.importDraft;
+    if (problems.length) {
+      const heading = document.createElement("div");
+      heading.className = "result-group-title";
+      heading.textContent = `Problems: ${problems.length} (invalid entries are left out)`;
+      dom.importPreview.appendChild(heading);
+      problems.forEach((problem) => {
+        const row = document.createElement("div");
+        row.className = "import-row problem";
+        row.textContent = formatProblem(problem);
+        dom.importPreview.appendChild(row);
+      });
+    }
+    [
+      ["Markers", plan.markers],
+      ["Zones", plan.zones],
+    ].forEach(([title, section]) => {
+      if (!section) return;
+      const heading = document.createElement("div");
+      heading.className = "result-group-title";
+      heading.textContent = `${title}: ${section.added.length} added · ${
+        section.updated.length
+      } updated · ${section.skipped.length} skipped${
+        section.removed ? ` · ${section.removed} removed` : ""
+      }`;
+      dom.importPreview.appendChild(heading);
+      const rows = [
+        ...section.added.map((item) => ["added", item.label]),
+        ...section.updated.map((item) => ["updated", item.label]),
+        ...section.skipped.map(({ item, reason }) => [
+          "skipped",
+          `${item.label} (${reason})`,
+        ]),
+      ];
+      rows.forEach(([status, text]) => {
+        const row = document.createElement("div");
+        row.className = `import-row ${status}`;
+        row.textContent = `${status}: ${text}`;
+        dom.importPreview.appendChild(row);
+      });
     });
-    return marker;
   };
 
-  const drawMeasurement = (target) => {
-    if (!state.measure.origin || !state.measure.target) return;
-    if (target) state.measure.target.setLatLng(target);
-    const origin = state.measure.origin.getLatLng();
-    const actualTarget = state.measure.target.getLatLng();
-    const points = [origin, actualTarget];
-    if (!state.measure.line) {
-      state.measure.line = L.polyline(points, {
-        className: "measure-line",
-        color: "#5ad1f0",
-      }).addTo(state.measure.group);
-    } else {
-      state.measure.line.setLatLngs(points);
+  const confirmImport = () => {
+    const incoming = state.importDraft;
+    if (!incoming) return;
+    const mode = getImportMode();
+    const plan = planImport(incoming, mode);
+    takeSnapshot("Before import");
+    const previousMarkers = state.data.userMarkers.slice();
+    const previousZones = state.data.zones.slice();
+    const previousAnchors = state.shiny.anchors.slice();
+    const previousPaths = state.data.paths.slice();
+    state.data.userMarkers = plan.markers.next;
+    state.data.customMarkers = plan.markers.next.slice();
+    if (plan.zones) state.data.zones = plan.zones.next;
+    if (plan.anchors) {
+      state.shiny.anchors = plan.anchors.next;
+      state.shiny.seeded = true;
+      ensureShinyRadius();
     }
-    state.measure.lastTarget = actualTarget;
-    const { units, pixels } = formatDistance(origin, actualTarget);
-    state.measure.lastPixels = Number.parseFloat(pixels);
-    const mid = L.latLng(
-      (origin.lat + actualTarget.lat) / 2,
-      (origin.lng + actualTarget.lng) / 2
-    );
-    const content = `Distance: ${units} units`;
-    if (!state.measure.popup) {
-      state.measure.popup = L.popup({ closeButton: false })
-        .setLatLng(mid)
-        .setContent(content);
-      state.measure.popup.openOn(state.map);
-    } else {
-      state.measure.popup.setLatLng(mid).setContent(content);
-      state.measure.popup.openOn(state.map);
+    if (plan.paths) {
+      state.data.paths = plan.paths.next;
+      renderPaths();
     }
-    updateMeasureUI();
+    if (incoming.route && mode === "replace") state.data.route = incoming.route;
+    closeImportModal();
+    renderAllMarkers();
+    renderZones();
+    recordChange(`Import markers (${mode})`, [
+      ...diffById(previousMarkers, state.data.userMarkers, markerChange),
+      ...diffById(previousZones, state.data.zones, zoneChange),
+      ...diffById(previousAnchors, state.shiny.anchors, anchorChange),
+      ...diffById(previousPaths, state.data.paths, pathChange),
+    ]);
+    persist();
   };
 
-  const updateMeasureUI = () => {
-    dom.measurePixels.textContent = state.measure.lastPixels
-      ? Number(state.measure.lastPixels).toFixed(1)
-      : "-";
-    const units = state.measure.lastPixels
-      ? (state.measure.lastPixels / state.pixelsPerUnit).toFixed(2)
-      : "-";
-    dom.measureUnits.textContent = units;
+  const persist = debounce(() => {
+    // Previews and unresolved corrupt saves never touch saved data
+    if (state.share.preview || state.storageRecovery) return;
+    const payload = {
+      version: STORAGE_VERSION,
+      presetMarkers: state.data.presetMarkers,
+      canvasPresets: state.canvasPresets,
+      clustering: state.clustering,
+      spriteFilter: { show: state.visibility.sprites, ...state.spriteFilter },
+      activeWorkspace: state.workspaces.activeId,
+      workspaces: state.workspaces.list.map(({ id, name, data }) => ({
+        id,
+        name,
+        ...(id === state.workspaces.activeId ? captureWorkspace() : data),
+      })),
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+      state.storageFull = false;
+    } catch (err) {
+      warnStorageFull(err);
+      return;
+    }
+    saveHistory();
+  });
+
+  // Alert once per run of failed saves rather than on every debounced write
+  const warnStorageFull = (err) => {
+    console.warn("Failed to save to localStorage", err);
+    if (state.storageFull) return;
+    state.storageFull = true;
+    alert(
+      "Browser storage is full, so recent changes were not saved. Export your markers from Import / Export to keep them."
+    );
   };
 
-  /* Zones (Wild Zones) */
-  const handleZoneClick = (latlng) => {
-    const snapped = applySnap(latlng);
-    const pts = state.zoneDrawing.points;
-    const markers = state.zoneDrawing.markers || [];
-    const closeThreshold = Math.max(state.gridSize || 1, 1);
+  /* Share links (compressed setup in the URL hash, no backend) */
+  const SHARE_HASH_PREFIX = "#share=";
 
-    if (!pts.length) {
-      addZonePoint(snapped, true);
-      drawTempZone();
-      return;
+  const toBase64Url = (bytes) => {
+    let binary = "";
+    bytes.forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  };
+
+  const fromBase64Url = (text) => {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  };
+
+  const pipeBytes = async (bytes, transform) =>
+    new Uint8Array(
+      await new Response(
+        new Blob([bytes]).stream().pipeThrough(transform)
+      ).arrayBuffer()
+    );
+
+  // "1." = deflate-raw; "0." = plain JSON for browsers without CompressionStream
+  const encodeShare = async (payload) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === "undefined") {
+      return `0.${toBase64Url(bytes)}`;
     }
+    const packed = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+    return `1.${toBase64Url(packed)}`;
+  };
 
-    const first = pts[0];
-    const dist = snapped.distanceTo(first);
-    if (pts.length >= 3 && dist <= closeThreshold) {
-      finalizeZone();
-      return;
+  const decodeShare = async (code) => {
+    const [format, data] = code.split(".");
+    let bytes = fromBase64Url(data || "");
+    if (format === "1") {
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (format !== "0") {
+      throw new Error(`Unknown share format ${format}`);
     }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  };
 
-    addZonePoint(snapped, false);
-    drawTempZone();
+  const roundCoord = (value) => Math.round(value * 100) / 100;
+
+  const buildSharePayload = () => {
+    const center = state.map.getCenter();
+    return {
+      v: 1,
+      view: {
+        lat: roundCoord(center.lat),
+        lng: roundCoord(center.lng),
+        zoom: roundCoord(state.map.getZoom()),
+      },
+      anchors: exportAnchors(),
+      activeAnchor: state.shiny.activeId,
+      markers: state.data.customMarkers.map(
+        ({ id, type, label, lat, lng, color, sprite, notes, tags, hunt }) => ({
+          id,
+          type,
+          label,
+          lat: roundCoord(lat),
+          lng: roundCoord(lng),
+          color,
+          sprite,
+          notes,
+          tags,
+          hunt,
+        })
+      ),
+      zones: state.data.zones.map(({ id, label, number, points }) => ({
+        id,
+        label,
+        number,
+        points: points.map((p) => ({
+          lat: roundCoord(p.lat),
+          lng: roundCoord(p.lng),
+        })),
+      })),
+    };
   };
 
-  const addZonePoint = (latlng, isFirst) => {
-    state.zoneDrawing.points.push(latlng);
-    const icon = L.divIcon({
-      className: isFirst ? "zone-point first" : "zone-point",
-      iconSize: [14, 14],
-      html: "",
-    });
-    const marker = L.marker(latlng, {
-      icon,
-      interactive: false,
-      zIndexOffset: 400,
-    }).addTo(state.zonesLayer);
-    state.zoneDrawing.markers = state.zoneDrawing.markers || [];
-    state.zoneDrawing.markers.push(marker);
+  const copyShareLink = async () => {
+    if (!state.map) return;
+    try {
+      const code = await encodeShare(buildSharePayload());
+      const { origin, pathname, search } = window.location;
+      const url = `${origin}${pathname}${search}${SHARE_HASH_PREFIX}${code}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        alert(`Copied share link (${url.length} characters).`);
+      } catch (err) {
+        prompt("Copy this share link:", url);
+      }
+    } catch (err) {
+      alert("Could not build a share link.");
+      console.warn("Share link failed", err);
+    }
   };
 
-  const drawTempZone = () => {
-    const pts = state.zoneDrawing.points;
-    if (!pts.length) return;
-    if (state.zoneDrawing.tempLine)
-      state.zonesLayer.removeLayer(state.zoneDrawing.tempLine);
-    state.zoneDrawing.tempLine = L.polyline(pts, {
-      color: "#22c55e",
-      weight: 2,
-      dashArray: "6 6",
-    }).addTo(state.zonesLayer);
+  const clearShareHash = () => {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, "", `${pathname}${search}`);
+  };
 
-    if (state.zoneDrawing.tempPolygon)
-      state.zonesLayer.removeLayer(state.zoneDrawing.tempPolygon);
-    if (pts.length >= 3) {
-      state.zoneDrawing.tempPolygon = L.polygon(pts, {
-        color: "#22c55e",
-        weight: 1,
-        fillColor: "rgba(74, 222, 128, 0.15)",
-        fillOpacity: 0.3,
-        interactive: false,
-      }).addTo(state.zonesLayer);
-    } else {
-      state.zoneDrawing.tempPolygon = null;
-    }
+  // The hash is untrusted: text fields that are not strings are dropped so the
+  // normalizers fall back to their defaults
+  const stringOnly = (value) => (typeof value === "string" ? value : undefined);
+
+  const readSharedSetup = (payload) => {
+    const markers = (Array.isArray(payload?.markers) ? payload.markers : [])
+      .filter((m) => m && typeof m === "object")
+      .map((m) =>
+        normalizeMarker(
+          {
+            ...m,
+            label: stringOnly(m.label),
+            sprite: stringOnly(m.sprite),
+            notes: stringOnly(m.notes),
+            locked: false,
+          },
+          "user"
+        )
+      )
+      .filter((m) => m.type === "circle" || m.type === "sprite");
+    const zones = (Array.isArray(payload?.zones) ? payload.zones : [])
+      .filter((z) => z && typeof z === "object")
+      .map((z) =>
+        normalizeZone({
+          ...z,
+          label: stringOnly(z.label),
+          name: stringOnly(z.name),
+        })
+      );
+    const anchors = (Array.isArray(payload?.anchors) ? payload.anchors : [])
+      .filter((a) => a?.center)
+      .map((a, idx) =>
+        normalizeAnchor({ ...a, name: stringOnly(a.name) }, idx)
+      );
+    return { markers, zones, anchors, activeAnchor: payload?.activeAnchor };
   };
 
-  const finalizeZone = () => {
-    const pts = state.zoneDrawing.points;
-    if (pts.length < 3) {
-      resetZoneDrawing();
+  const checkShareLink = async () => {
+    const { hash } = window.location;
+    if (!hash.startsWith(SHARE_HASH_PREFIX)) return;
+    try {
+      state.share.pending = await decodeShare(
+        hash.slice(SHARE_HASH_PREFIX.length)
+      );
+    } catch (err) {
+      console.warn("Bad share link", err);
+      clearShareHash();
+      alert("This share link is invalid or damaged.");
       return;
     }
-    const number = parseInt(dom.zoneNumber.value, 10) || getNextZoneNumber();
-    const label = dom.zoneLabel.value.trim() || `Zone ${number}`;
-    const zone = normalizeZone({
-      id: uuid("zone"),
-      label,
-      number,
-      points: pts.map((p) => ({ lat: p.lat, lng: p.lng })),
-    });
-    state.data.zones.push(zone);
-    renderZones();
-    persist();
-    resetZoneDrawing();
-    dom.zoneNumber.value = getNextZoneNumber();
+    const { markers, zones, anchors } = readSharedSetup(state.share.pending);
+    dom.shareSummary.textContent = `${markers.length} custom marker(s), ${
+      zones.length
+    } zone(s) and ${anchors.length} shiny anchor(s).`;
+    dom.shareModal?.removeAttribute("hidden");
   };
 
-  const resetZoneDrawing = () => {
-    if (state.zoneDrawing.tempLine)
-      state.zonesLayer.removeLayer(state.zoneDrawing.tempLine);
-    if (state.zoneDrawing.tempPolygon)
-      state.zonesLayer.removeLayer(state.zoneDrawing.tempPolygon);
-    (state.zoneDrawing.markers || []).forEach((m) =>
-      state.zonesLayer.removeLayer(m)
-    );
-    state.zoneDrawing.tempLine = null;
-    state.zoneDrawing.tempPolygon = null;
-    state.zoneDrawing.points = [];
-    state.zoneDrawing.markers = [];
+  const closeShareModal = () => dom.shareModal?.setAttribute("hidden", "true");
+
+  const dismissShareLink = () => {
+    closeShareModal();
+    state.share.pending = null;
+    clearShareHash();
   };
 
-  const renderZones = () => {
-    if (!state.zonesLayer) return;
-    state.zonesLayer.clearLayers();
-    if (!state.visibility.zones) return;
-    (state.data.zones || []).forEach((zone) => {
-      if (!zone.points?.length) return;
-      const polygon = L.polygon(zone.points, {
-        color: "#22c55e",
-        weight: 2,
-        fillColor: "rgba(74, 222, 128, 0.2)",
-        fillOpacity: 0.35,
-        interactive: false,
-      }).addTo(state.zonesLayer);
-      const centroid = polygon.getBounds().getCenter();
-      const icon = L.divIcon({
-        className: "zone-badge",
-        html: `${zone.number || ""}`,
-        iconSize: [26, 26],
-      });
-      L.marker(centroid, { icon, interactive: false }).addTo(state.zonesLayer);
-    });
+  const applyShareView = (payload) => {
+    const view = payload?.view;
+    if (!state.map || !Number.isFinite(view?.lat)) return;
+    state.map.setView([view.lat, view.lng], view.zoom);
   };
 
-  const editZone = (id) => {
-    const zone = (state.data.zones || []).find((z) => z.id === id);
-    if (!zone) return;
-    const newLabel = prompt("Zone label", zone.label);
-    if (newLabel === null) return;
-    const numInput = prompt("Zone number", zone.number || 1);
-    if (numInput === null) return;
-    const num = parseInt(numInput, 10);
-    if (!num || num < 1 || num > 99) {
-      alert("Enter a number between 1 and 99.");
-      return;
+  const setActiveSharedAnchor = (id) => {
+    if (state.shiny.anchors.some((a) => a.id === id)) {
+      state.shiny.activeId = id;
     }
-    zone.label = newLabel.trim() || zone.label;
-    zone.number = num;
-    renderZones();
+  };
+
+  // Swaps in the shared data without saving; local data waits in state.share
+  const startSharePreview = () => {
+    const payload = state.share.pending;
+    if (!payload) return;
+    closeShareModal();
+    const shared = readSharedSetup(payload);
+    state.share.local = {
+      userMarkers: state.data.userMarkers,
+      customMarkers: state.data.customMarkers,
+      zones: state.data.zones,
+      anchors: state.shiny.anchors,
+      activeId: state.shiny.activeId,
+      history: state.history,
+    };
+    state.share.preview = true;
+    state.history = { undo: [], redo: [] };
+    state.data.userMarkers = shared.markers;
+    state.data.customMarkers = shared.markers.slice();
+    state.data.zones = shared.zones;
+    state.shiny.anchors = shared.anchors;
+    setActiveSharedAnchor(shared.activeAnchor);
+    dom.shareBanner?.removeAttribute("hidden");
+    renderAllMarkers();
+    ensureShinyRadius();
+    updateHistoryUI();
+    applyShareView(payload);
+  };
+
+  const restoreLocalData = () => {
+    const { local } = state.share;
+    if (!local) return;
+    state.data.userMarkers = local.userMarkers;
+    state.data.customMarkers = local.customMarkers;
+    state.data.zones = local.zones;
+    state.shiny.anchors = local.anchors;
+    state.shiny.activeId = local.activeId;
+    state.history = local.history;
+    state.share.local = null;
+    state.share.preview = false;
+    dom.shareBanner?.setAttribute("hidden", "true");
+  };
+
+  const exitSharePreview = () => {
+    restoreLocalData();
+    state.share.pending = null;
+    clearShareHash();
+    renderAllMarkers();
+    ensureShinyRadius();
+    updateHistoryUI();
+  };
+
+  // Upserts shared markers, zones and anchors by id as one undoable change
+  const mergeSharedSetup = () => {
+    const payload = state.share.pending;
+    if (!payload) return;
+    closeShareModal();
+    restoreLocalData();
+    takeSnapshot("Before shared merge");
+    const shared = readSharedSetup(payload);
+    const upsert = (list, incoming) => {
+      const byId = new Map(list.map((item) => [item.id, item]));
+      incoming.forEach((item) => byId.set(item.id, item));
+      return [...byId.values()];
+    };
+    const previousMarkers = state.data.userMarkers.slice();
+    const previousZones = state.data.zones.slice();
+    const previousAnchors = state.shiny.anchors.slice();
+    state.data.userMarkers = upsert(state.data.userMarkers, shared.markers);
+    state.data.customMarkers = upsert(state.data.customMarkers, shared.markers);
+    state.data.zones = upsert(state.data.zones, shared.zones);
+    state.shiny.anchors = upsert(state.shiny.anchors, shared.anchors);
+    setActiveSharedAnchor(shared.activeAnchor);
+    renderAllMarkers();
+    ensureShinyRadius();
+    recordChange("Merge shared setup", [
+      ...diffById(previousMarkers, state.data.userMarkers, markerChange),
+      ...diffById(previousZones, state.data.zones, zoneChange),
+      ...diffById(previousAnchors, state.shiny.anchors, anchorChange),
+    ]);
     persist();
+    state.share.pending = null;
+    clearShareHash();
+    applyShareView(payload);
   };
 
-  const getNextZoneNumber = () => {
-    const nums = (state.data.zones || []).map((z) => z.number || 0);
-    const max = nums.length ? Math.max(...nums) : 0;
-    return Math.min(max + 1, 99);
+  /* Snapshots (rolling, timestamped copies of the active workspace) */
+  // Preset edits are kept only when presets differ from markers.json
+  const captureSnapshotData = () => {
+    const presets = JSON.stringify(state.data.presetMarkers);
+    return cloneData({
+      ...captureWorkspace(),
+      presetMarkers:
+        presets === JSON.stringify(state.data.originalPresets)
+          ? null
+          : state.data.presetMarkers,
+    });
   };
 
-  /* Shortcuts */
-  const handleShortcuts = (e) => {
-    const activeTag = document.activeElement?.tagName;
-    if (["INPUT", "TEXTAREA", "SELECT"].includes(activeTag)) return;
+  const loadSnapshots = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(SNAPSHOT_KEY) || "[]");
+      state.snapshots = Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn("Failed to load snapshots", err);
+      state.snapshots = [];
+    }
+    renderSnapshotList();
+  };
 
-    switch (e.key.toLowerCase()) {
-      case "m":
-        setMeasureMode(!state.measureMode);
-        break;
-      case "p":
-        setAddMode(!state.addMode);
-        break;
-      case "e":
-        setEditMode(!state.editMode);
-        break;
-      case "1":
-      case "2":
-      case "3":
-      case "4":
-        setCurrentTool("circle");
-        break;
-      case "escape":
-        closeResetModal();
-        if (state.map) state.map.closePopup();
-        setAddMode(false);
-        break;
-      case "delete":
-      case "backspace":
-        if (state.editMode && state.selection) deleteMarker(state.selection);
-        break;
-      default:
+  const saveSnapshots = () => {
+    // Snapshots get what is left after the main save, its last-good copy,
+    // room for it to grow as much again, and the edit history
+    const mainChars = localStorage.getItem(STORAGE_KEY)?.length || 0;
+    const historyChars = localStorage.getItem(HISTORY_KEY)?.length || 0;
+    const room = STORAGE_BUDGET_CHARS - mainChars * 3 - historyChars;
+    while (
+      state.snapshots.length &&
+      JSON.stringify(state.snapshots).length > room
+    ) {
+      state.snapshots.pop();
+    }
+    // Storage is full anyway: drop the oldest snapshots until it fits
+    while (state.snapshots.length) {
+      try {
+        localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(state.snapshots));
         return;
+      } catch (err) {
+        console.warn("Snapshots too large, dropping the oldest", err);
+        state.snapshots.pop();
+      }
     }
+    localStorage.removeItem(SNAPSHOT_KEY);
   };
 
-  /* Export + storage */
-  const collectMarkers = (scope) => {
-    let markers = [];
-    if (scope === "all" || scope === "preset")
-      markers = markers.concat(state.data.presetMarkers);
-    if (scope === "all" || scope === "user") {
-      const usersOnly = state.data.userMarkers.filter(
-        (m) =>
-          m.source === "user" &&
-          !m.locked &&
-          (m.type === "circle" || m.type === "sprite")
-      );
-      markers = markers.concat(usersOnly);
+  // Scheduled snapshots are skipped when nothing changed since the last one
+  const takeSnapshot = (reason) => {
+    if (state.share.preview || state.storageRecovery) return null;
+    const workspace = getActiveWorkspace();
+    const data = captureSnapshotData();
+    const latest = state.snapshots.find(
+      (snap) => snap.workspaceId === workspace?.id
+    );
+    if (
+      reason === "Scheduled" &&
+      latest &&
+      JSON.stringify(latest.data) === JSON.stringify(data)
+    ) {
+      return null;
     }
-    const sorted = markers.slice().sort((a, b) => {
-      if (a.type === b.type) return a.label.localeCompare(b.label);
-      return a.type.localeCompare(b.type);
+    const snapshot = {
+      id: uuid("snap"),
+      at: new Date().toISOString(),
+      reason,
+      workspaceId: workspace?.id || null,
+      workspaceName: workspace?.name || "",
+      data,
+    };
+    state.snapshots.unshift(snapshot);
+    state.snapshots = state.snapshots.slice(0, SNAPSHOT_LIMIT);
+    saveSnapshots();
+    renderSnapshotList();
+    return snapshot;
+  };
+
+  const countDiff = (current, snapshot) => {
+    const currentById = new Map(current.map((item) => [item.id, item]));
+    const snapIds = new Set(snapshot.map((item) => item.id));
+    let changed = 0;
+    snapshot.forEach((item) => {
+      const now = currentById.get(item.id);
+      if (now && JSON.stringify(now) !== JSON.stringify(item)) changed += 1;
     });
     return {
-      markers: sorted.map(({ source, ...rest }) => rest),
-      zones: exportZones(state.data.zones),
+      added: snapshot.filter((item) => !currentById.has(item.id)).length,
+      removed: current.filter((item) => !snapIds.has(item.id)).length,
+      changed,
     };
   };
 
-  const exportZones = (zones) =>
-    (zones || []).map((z) => ({
-      id: z.id,
-      label: z.label,
-      number: z.number,
-      points: z.points,
-    }));
+  // What restoring the snapshot would do to the current data
+  const describeSnapshotDiff = (snapshot) => {
+    const now = cloneData(captureSnapshotData());
+    const { data } = snapshot;
+    return [
+      ["User markers", now.userMarkers, data.userMarkers],
+      ["Zones", now.zones, data.zones],
+      ["Anchors", now.shinyAnchors, data.shinyAnchors],
+      ["Paths", now.paths, data.paths],
+      [
+        "Presets",
+        now.presetMarkers || state.data.originalPresets,
+        data.presetMarkers || state.data.originalPresets,
+      ],
+    ].map(([label, current, saved]) => {
+      const { added, removed, changed } = countDiff(current || [], saved || []);
+      return added || removed || changed
+        ? `${label}: +${added} −${removed} ~${changed}`
+        : `${label}: no change`;
+    });
+  };
 
-  const buildUserExport = () => {
-    const markers = (state.data.customMarkers || []).map(
-      ({ source, ...rest }) => rest
+  const renderSnapshotList = () => {
+    if (!dom.snapshotList) return;
+    dom.snapshotList.innerHTML = "";
+    if (!state.snapshots.length) {
+      dom.snapshotList.innerHTML =
+        '<div class="hint">No snapshots yet. One is taken every 10 minutes when something changed, and before resets and imports.</div>';
+    }
+    state.snapshots.forEach((snapshot) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "result-item";
+      item.classList.toggle("active", snapshot.id === state.snapshotId);
+      const label = document.createElement("span");
+      label.textContent = `${formatTimestamp(snapshot.at)} · ${
+        snapshot.reason
+      }`;
+      const meta = document.createElement("span");
+      meta.className = "result-meta";
+      meta.textContent = snapshot.workspaceName;
+      item.append(label, meta);
+      item.addEventListener("click", () => {
+        state.snapshotId =
+          state.snapshotId === snapshot.id ? null : snapshot.id;
+        renderSnapshotList();
+      });
+      dom.snapshotList.appendChild(item);
+    });
+    renderSnapshotDetail();
+  };
+
+  const renderSnapshotDetail = () => {
+    if (!dom.snapshotDetail) return;
+    const snapshot = state.snapshots.find((s) => s.id === state.snapshotId);
+    dom.snapshotDetail.innerHTML = "";
+    if (!snapshot) return;
+    describeSnapshotDiff(snapshot).forEach((line) => {
+      const row = document.createElement("div");
+      row.className = "leg-row";
+      row.textContent = line;
+      dom.snapshotDetail.appendChild(row);
+    });
+    const actions = document.createElement("div");
+    actions.className = "pill-row";
+    const restore = document.createElement("button");
+    restore.textContent = "Restore";
+    restore.addEventListener("click", () => restoreSnapshot(snapshot.id));
+    const download = document.createElement("button");
+    download.className = "secondary";
+    download.textContent = "Download";
+    download.addEventListener("click", () => downloadSnapshot(snapshot.id));
+    actions.append(restore, download);
+    dom.snapshotDetail.appendChild(actions);
+  };
+
+  // Restores into the active workspace as one undoable change
+  const restoreSnapshot = (id) => {
+    const snapshot = state.snapshots.find((s) => s.id === id);
+    const workspace = getActiveWorkspace();
+    if (!snapshot) return;
+    const ok = confirm(
+      `Restore the snapshot from ${formatTimestamp(snapshot.at)} (${
+        snapshot.workspaceName
+      }) into the current workspace "${workspace?.name}"?`
     );
-    return { markers };
+    if (!ok) return;
+    takeSnapshot("Before restore");
+    const { data } = snapshot;
+    const previousPresets = state.data.presetMarkers.slice();
+    const previousMarkers = state.data.userMarkers.slice();
+    const previousZones = state.data.zones.slice();
+    const previousAnchors = state.shiny.anchors.slice();
+    const previousPaths = state.data.paths.slice();
+    applyWorkspaceSettings(data);
+    applyWorkspaceMarkers(data);
+    state.data.presetMarkers = (
+      data.presetMarkers || state.data.originalPresets
+    ).map((m) => normalizeMarker(m, "preset"));
+    renderAllMarkers();
+    ensureShinyRadius();
+    syncShinyRingButtons();
+    renderPaths();
+    recordChange("Restore snapshot", [
+      ...diffById(previousPresets, state.data.presetMarkers, markerChange),
+      ...diffById(previousMarkers, state.data.userMarkers, markerChange),
+      ...diffById(previousZones, state.data.zones, zoneChange),
+      ...diffById(previousAnchors, state.shiny.anchors, anchorChange),
+      ...diffById(previousPaths, state.data.paths, pathChange),
+    ]);
+    persist();
+    state.snapshotId = null;
+    renderSnapshotList();
   };
 
-  const downloadMarkers = (scope) => {
-    const data = scope === "user" ? buildUserExport() : collectMarkers(scope);
-    const blob = new Blob([JSON.stringify(data, null, 2)], {
+  // Same shape as the custom marker export, plus where the snapshot came from
+  const downloadSnapshot = (id) => {
+    const snapshot = state.snapshots.find((s) => s.id === id);
+    if (!snapshot) return;
+    const { data } = snapshot;
+    const payload = {
+      markers: (data.customMarkers || []).map(({ source, ...rest }) => rest),
+      zones: exportZones(data.zones),
+      anchors: data.shinyAnchors,
+      paths: data.paths,
+      route: data.route,
+      presetMarkers: data.presetMarkers || undefined,
+      snapshot: {
+        at: snapshot.at,
+        reason: snapshot.reason,
+        workspace: snapshot.workspaceName,
+      },
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], {
       type: "application/json",
     });
     const link = document.createElement("a");
     link.href = URL.createObjectURL(blob);
-    link.download = scope === "all" ? "markers.json" : `${scope}-markers.json`;
+    link.download = `snapshot-${snapshot.at.replace(/[:.]/g, "-")}.json`;
     link.click();
     URL.revokeObjectURL(link.href);
   };
 
-  const copyMarkers = async () => {
-    const data = buildUserExport();
-    try {
-      await navigator.clipboard.writeText(JSON.stringify(data, null, 2));
-      alert("Copied custom markers JSON to clipboard");
-    } catch (err) {
-      alert("Clipboard unavailable");
-    }
+  /* Reset */
+  // Each option knows how many items it would remove or revert
+  const getResetOptions = () => {
+    const byType = new Map();
+    state.data.userMarkers.forEach((m) => {
+      byType.set(m.type, (byType.get(m.type) || 0) + 1);
+    });
+    const sum = ({ added, removed, changed }) => added + removed + changed;
+    const settingsChanged = Object.keys(DEFAULT_SETTINGS).filter(
+      (key) => state[key] !== DEFAULT_SETTINGS[key]
+    ).length;
+    return [
+      ...[...byType.entries()].map(([type, count]) => ({
+        key: `user:${type}`,
+        label: `User ${type} markers`,
+        count,
+        checked: true,
+      })),
+      {
+        key: "presets",
+        label: "Preset edits (revert to markers.json)",
+        count: sum(
+          countDiff(state.data.presetMarkers, state.data.originalPresets)
+        ),
+      },
+      {
+        key: "zones",
+        label: "Wild Zone edits (revert to markers.json)",
+        count: sum(countDiff(state.data.zones, state.data.originalZones)),
+      },
+      {
+        key: "anchors",
+        label: "Shiny anchors (back to one default)",
+        count: state.shiny.anchors.length,
+      },
+      {
+        key: "settings",
+        label: "Settings (snap, grid, clustering, canvas)",
+        count: settingsChanged,
+      },
+    ];
   };
 
-  const handleImportUsers = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const parsed = JSON.parse(reader.result);
-        let markers = [];
-        let zones = state.data.zones;
-        if (Array.isArray(parsed)) {
-          markers = parsed;
-        } else if (parsed && typeof parsed === "object") {
-          markers = parsed.markers || [];
-          zones = parsed.zones || zones;
-        }
-        const normalizedMarkers = markers
-          .map((m) =>
-            normalizeMarker({ ...m, source: "user", locked: false }, "user")
-          )
-          .filter((m) => m.type === "circle" || m.type === "sprite");
-        state.data.userMarkers = normalizedMarkers;
-        state.data.customMarkers = normalizedMarkers.slice();
-        if (Array.isArray(zones)) {
-          state.data.zones = zones.map((z) => normalizeZone(z));
-        }
-        renderAllMarkers();
-        renderZones();
-        persist();
-        alert("Imported custom markers.");
-      } catch (err) {
-        alert("Import failed. Please provide a valid markers JSON.");
-        console.warn("Import failed", err);
-      } finally {
-        e.target.value = "";
-      }
-    };
-    reader.readAsText(file);
+  const openResetModal = () => {
+    renderResetOptions();
+    dom.resetModal.removeAttribute("hidden");
+  };
+  const closeResetModal = () => dom.resetModal.setAttribute("hidden", "true");
+
+  const renderResetOptions = () => {
+    dom.resetOptions.innerHTML = "";
+    getResetOptions().forEach((option) => {
+      const row = document.createElement("label");
+      row.className = "modal-checkbox";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = option.key;
+      input.dataset.count = option.count;
+      input.checked = Boolean(option.checked) && option.count > 0;
+      input.disabled = option.count === 0;
+      input.addEventListener("change", updateResetSummary);
+      row.append(input, ` ${option.label} (${option.count})`);
+      dom.resetOptions.appendChild(row);
+    });
+    updateResetSummary();
   };
 
-  const persist = debounce(() => {
-    const payload = {
-      userMarkers: state.data.userMarkers,
-      presetMarkers: state.data.presetMarkers,
-      snap: state.snap,
-      gridSize: state.gridSize,
-      shinyCenter: state.shiny.center,
-      zones: state.data.zones,
-      customMarkers: state.data.customMarkers,
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
-  });
+  const getResetSelection = () =>
+    [...dom.resetOptions.querySelectorAll("input:checked")].map(
+      (input) => input.value
+    );
 
-  /* Reset */
-  const openResetModal = () => dom.resetModal.removeAttribute("hidden");
-  const closeResetModal = () => dom.resetModal.setAttribute("hidden", "true");
+  const updateResetSummary = () => {
+    const total = [...dom.resetOptions.querySelectorAll("input:checked")]
+      .map((input) => Number(input.dataset.count))
+      .reduce((sum, count) => sum + count, 0);
+    dom.resetSummary.textContent = total
+      ? `${total} item(s) will be removed or reverted. A snapshot is taken first.`
+      : "Nothing selected.";
+    dom.confirmReset.disabled = total === 0;
+  };
 
   const handleReset = () => {
-    state.data.userMarkers = [];
-    state.data.customMarkers = [];
+    const selected = getResetSelection();
+    if (!selected.length) return;
+    takeSnapshot("Before reset");
+    const previousPresets = state.data.presetMarkers.slice();
+    const previousMarkers = state.data.userMarkers.slice();
+    const previousZones = state.data.zones.slice();
+    const previousAnchors = state.shiny.anchors.slice();
+    const types = selected
+      .filter((key) => key.startsWith("user:"))
+      .map((key) => key.slice(5));
+    state.data.userMarkers = state.data.userMarkers.filter(
+      (m) => !types.includes(m.type)
+    );
+    state.data.customMarkers = state.data.customMarkers.filter(
+      (m) => !types.includes(m.type)
+    );
+    if (selected.includes("presets")) {
+      state.data.presetMarkers = cloneData(state.data.originalPresets);
+    }
+    if (selected.includes("zones")) {
+      state.data.zones = cloneData(state.data.originalZones);
+    }
+    if (selected.includes("anchors")) {
+      state.shiny.anchors = [];
+      state.shiny.activeId = null;
+      state.shiny.seeded = false;
+      ensureShinyRadius();
+    }
+    if (selected.includes("settings")) {
+      state.snap = DEFAULT_SETTINGS.snap;
+      state.gridSize = DEFAULT_SETTINGS.gridSize;
+      dom.snapToggle.checked = state.snap;
+      dom.gridSize.value = String(state.gridSize);
+      state.clustering = DEFAULT_SETTINGS.clustering;
+      dom.layerClusters?.classList.toggle("active", state.clustering);
+      dom.layerClusters?.classList.toggle("toggle-off", !state.clustering);
+      state.canvasPresets = DEFAULT_SETTINGS.canvasPresets;
+      dom.layerCanvas?.classList.toggle("active", state.canvasPresets);
+      dom.layerCanvas?.classList.toggle("toggle-off", !state.canvasPresets);
+    }
     closeResetModal();
     renderAllMarkers();
+    syncShinyRingButtons();
+    recordChange("Reset", [
+      ...diffById(previousPresets, state.data.presetMarkers, markerChange),
+      ...diffById(previousMarkers, state.data.userMarkers, markerChange),
+      ...diffById(previousZones, state.data.zones, zoneChange),
+      ...diffById(previousAnchors, state.shiny.anchors, anchorChange),
+    ]);
+    persist();
+  };
+
+  /* History (undo/redo) */
+  const changeOf = (kind) => (before, after) => ({
+    kind,
+    id: (after || before).id,
+    before: cloneData(before),
+    after: cloneData(after),
+  });
+
+  const markerChange = changeOf("marker");
+  const zoneChange = changeOf("zone");
+  const anchorChange = changeOf("anchor");
+  const pathChange = changeOf("path");
+
+  // Builds before/after changes between two id-keyed lists
+  const diffById = (previous, next, makeChange) => {
+    const prevById = new Map(previous.map((item) => [item.id, item]));
+    const nextIds = new Set(next.map((item) => item.id));
+    const removed = previous
+      .filter((item) => !nextIds.has(item.id))
+      .map((item) => makeChange(item, null));
+    const upserted = next.map((item) =>
+      makeChange(prevById.get(item.id) || null, item)
+    );
+    return removed.concat(upserted);
+  };
+
+  const recordChange = (label, changes) => {
+    const effective = changes.filter(
+      (c) => JSON.stringify(c.before) !== JSON.stringify(c.after)
+    );
+    if (!effective.length) return;
+    state.history.undo.push({ label, changes: effective, at: Date.now() });
+    if (state.history.undo.length > HISTORY_LIMIT) state.history.undo.shift();
+    state.history.redo = [];
+    updateHistoryUI();
+  };
+
+  const applyMarkerState = (id, next) => {
+    removeMarkerRecord(id);
+    if (!next) return;
+    insertMarkerData(normalizeMarker(cloneData(next), next.source || "user"));
+  };
+
+  const applyZoneState = (id, next) => {
+    const idx = state.data.zones.findIndex((z) => z.id === id);
+    if (idx >= 0) state.data.zones.splice(idx, 1);
+    if (next) state.data.zones.push(normalizeZone(cloneData(next)));
+  };
+
+  const applyAnchorState = (id, next) => {
+    state.shiny.anchors = state.shiny.anchors.filter((a) => a.id !== id);
+    if (next) state.shiny.anchors.push(normalizeAnchor(cloneData(next)));
+  };
+
+  const applyPathState = (id, next) => {
+    state.data.paths = state.data.paths.filter((p) => p.id !== id);
+    if (next) state.data.paths.push(normalizePath(cloneData(next)));
+  };
+
+  const applyHistoryEntry = (entry, direction) => {
+    const changes =
+      direction === "undo" ? entry.changes.slice().reverse() : entry.changes;
+    changes.forEach((change) => {
+      const next = direction === "undo" ? change.before : change.after;
+      if (change.kind === "zone") applyZoneState(change.id, next);
+      else if (change.kind === "anchor") applyAnchorState(change.id, next);
+      else if (change.kind === "path") applyPathState(change.id, next);
+      else applyMarkerState(change.id, next);
+    });
+    if (changes.some((c) => c.kind === "anchor")) renderShinyAnchors();
+    if (changes.some((c) => c.kind === "path")) renderPaths();
+    renderZones();
+    refreshLayerVisibility();
+    updateIconScales();
+    renderBulkSelection();
+    updateHistoryUI();
     persist();
   };
 
+  const undo = () => {
+    const entry = state.history.undo.pop();
+    if (!entry) return;
+    state.history.redo.push(entry);
+    applyHistoryEntry(entry, "undo");
+  };
+
+  const redo = () => {
+    const entry = state.history.redo.pop();
+    if (!entry) return;
+    state.history.undo.push(entry);
+    applyHistoryEntry(entry, "redo");
+  };
+
+  const saveHistory = () => {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(state.history));
+    } catch (err) {
+      // Storage is full: keep the most recent half and try once more
+      console.warn("History too large, trimming", err);
+      const keep = Math.floor(state.history.undo.length / 2);
+      state.history.undo = state.history.undo.slice(-keep);
+      state.history.redo = [];
+      try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(state.history));
+      } catch (retryErr) {
+        warnStorageFull(retryErr);
+      }
+      updateHistoryUI();
+    }
+  };
+
+  const updateHistoryUI = () => {
+    const lastUndo = state.history.undo[state.history.undo.length - 1];
+    const lastRedo = state.history.redo[state.history.redo.length - 1];
+    if (dom.undoBtn) {
+      dom.undoBtn.disabled = !lastUndo;
+      dom.undoBtn.title = lastUndo
+        ? `Undo ${lastUndo.label.toLowerCase()}`
+        : "";
+    }
+    if (dom.redoBtn) {
+      dom.redoBtn.disabled = !lastRedo;
+      dom.redoBtn.title = lastRedo
+        ? `Redo ${lastRedo.label.toLowerCase()}`
+        : "";
+    }
+    if (dom.historyStatus) {
+      dom.historyStatus.textContent = lastUndo
+        ? `Last change: ${lastUndo.label} · ${state.history.undo.length} step(s) to undo`
+        : "Nothing to undo";
+    }
+  };
+
   /* Panel */
   const togglePanel = () => {
     dom.panel.classList.toggle("collapsed");